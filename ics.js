@@ -0,0 +1,188 @@
+// Modern Clock — iCalendar (.ics) import/export
+// Pure text <-> object conversion used by the calendar panel (loaded before
+// script.js) and the Node test suite. Time zone resolution is left to the
+// caller, so parsed times come back as wall-clock parts plus their TZID.
+
+// -------------------------------
+// Text escaping rules from RFC 5545 (section 3.3.11)
+// -------------------------------
+function escapeICSText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+function unescapeICSText(text) {
+    return text.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+// -------------------------------
+// Lines longer than 75 octets of UTF-8 are folded with CRLF + space
+// Continuation lines hold 74 octets after the space, and a character is
+// never split across two lines.
+// -------------------------------
+function getUTF8Length(char) {
+    const code = char.codePointAt(0);
+    if (code < 0x80) return 1;
+    if (code < 0x800) return 2;
+    return code < 0x10000 ? 3 : 4;
+}
+
+function foldICSLine(line) {
+    const parts = [];
+    let part = '';
+    let octets = 0;
+    let limit = 75;
+    for (const char of line) {
+        const size = getUTF8Length(char);
+        if (octets + size > limit) {
+            parts.push(part);
+            part = '';
+            octets = 0;
+            limit = 74;
+        }
+        part += char;
+        octets += size;
+    }
+    parts.push(part);
+    return parts.join('\r\n ');
+}
+
+// -------------------------------
+// Parse a DATE or DATE-TIME value
+// Returns { year, month (0-11), day, hours, minutes, seconds, dateOnly, utc, tzid }
+// or null when the value isn't a recognised format.
+// -------------------------------
+function parseICSDate(value, params) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(value.trim());
+    if (!match) return null;
+    const dateOnly = params.VALUE === 'DATE' || match[4] === undefined;
+    return {
+        year: Number(match[1]),
+        month: Number(match[2]) - 1,
+        day: Number(match[3]),
+        hours: dateOnly ? 0 : Number(match[4]),
+        minutes: dateOnly ? 0 : Number(match[5]),
+        seconds: dateOnly ? 0 : Number(match[6] || 0),
+        dateOnly,
+        utc: match[7] === 'Z',
+        tzid: params.TZID || null
+    };
+}
+
+// -------------------------------
+// Split "NAME;PARAM=VALUE:content" into its pieces
+// The name and parameters end at the first colon outside a quoted
+// parameter value; quotes in the content itself mean nothing.
+// -------------------------------
+function parseICSLine(line) {
+    const cuts = [];
+    let quoted = false;
+    let colon = -1;
+    for (let i = 0; i < line.length && colon === -1; i++) {
+        if (line[i] === '"') {
+            quoted = !quoted;
+        } else if (!quoted && line[i] === ';') {
+            cuts.push(i);
+        } else if (!quoted && line[i] === ':') {
+            colon = i;
+        }
+    }
+    if (colon === -1) return null;
+    const pieces = [0, ...cuts.map(cut => cut + 1)].map((from, index) => line.slice(from, index < cuts.length ? cuts[index] : colon));
+    const [name, ...paramList] = pieces;
+    const params = {};
+    paramList.forEach(param => {
+        const [key, ...rest] = param.split('=');
+        params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+    });
+    return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+// -------------------------------
+// Parse every VEVENT in an iCalendar document
+// Each event: { uid, summary, description, start, end } with start/end from
+// parseICSDate(). Events without a usable DTSTART are skipped.
+// -------------------------------
+function parseICS(text) {
+    const lines = text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+    const events = [];
+    let current = null;
+
+    lines.forEach(raw => {
+        const line = raw.trimEnd();
+        if (line === 'BEGIN:VEVENT') {
+            current = { uid: null, summary: '', description: '', start: null, end: null };
+            return;
+        }
+        if (line === 'END:VEVENT') {
+            if (current && current.start) {
+                events.push(current);
+            }
+            current = null;
+            return;
+        }
+        if (!current) return;
+
+        const property = parseICSLine(line);
+        if (!property) return;
+        if (property.name === 'UID') current.uid = property.value;
+        if (property.name === 'SUMMARY') current.summary = unescapeICSText(property.value);
+        if (property.name === 'DESCRIPTION') current.description = unescapeICSText(property.value);
+        if (property.name === 'DTSTART') current.start = parseICSDate(property.value, property.params);
+        if (property.name === 'DTEND') current.end = parseICSDate(property.value, property.params);
+    });
+
+    return events;
+}
+
+// -------------------------------
+// Format helpers for export
+// -------------------------------
+function formatICSDate(dateKey) {
+    return dateKey.replace(/-/g, '');
+}
+
+function formatICSDateTime(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// -------------------------------
+// Build an iCalendar document from clock events
+// Events: { uid, title, allDay, start, end, notes } where all-day start/end
+// are 'YYYY-MM-DD' keys and timed start/end are ISO instants (exported as UTC).
+// -------------------------------
+function buildICS(events, now = new Date()) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Modern Clock//Calendar//EN',
+        'CALSCALE:GREGORIAN'
+    ];
+
+    events.forEach(event => {
+        lines.push('BEGIN:VEVENT');
+        lines.push(`UID:${event.uid}`);
+        lines.push(`DTSTAMP:${formatICSDateTime(now)}`);
+        if (event.allDay) {
+            lines.push(`DTSTART;VALUE=DATE:${formatICSDate(event.start)}`);
+            if (event.end) lines.push(`DTEND;VALUE=DATE:${formatICSDate(event.end)}`);
+        } else {
+            lines.push(`DTSTART:${formatICSDateTime(new Date(event.start))}`);
+            if (event.end) lines.push(`DTEND:${formatICSDateTime(new Date(event.end))}`);
+        }
+        lines.push(`SUMMARY:${escapeICSText(event.title)}`);
+        if (event.notes) lines.push(`DESCRIPTION:${escapeICSText(event.notes)}`);
+        lines.push('END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+    return `${lines.map(foldICSLine).join('\r\n')}\r\n`;
+}
+
+// Node (tests) can require this file; browsers just get the globals above
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { parseICS, buildICS, escapeICSText, unescapeICSText };
+}
@@ -6,9 +6,6 @@
 // DOM references for the clock face and readouts
 // -------------------------------
 const clock = document.getElementById('clock');
-const hourHand = document.getElementById('hourHand');
-const minuteHand = document.getElementById('minuteHand');
-const secondHand = document.getElementById('secondHand');
 const digitalTime = document.getElementById('digitalTime');
 const dateDisplay = document.getElementById('dateDisplay');
 const timeLiveRegion = document.getElementById('timeLiveRegion');
@@ -20,68 +17,294 @@ const formatToggle = document.getElementById('formatToggle');
 const smoothToggle = document.getElementById('smoothToggle');
 const timezoneSelect = document.getElementById('timezoneSelect');
 const themeSelect = document.getElementById('themeSelect');
+const dialStyleSelect = document.getElementById('dialStyleSelect');
+const localeSelect = document.getElementById('localeSelect');
+const calendarSystemSelect = document.getElementById('calendarSystemSelect');
+const numberingSelect = document.getElementById('numberingSelect');
+const weekStartSelect = document.getElementById('weekStartSelect');
+const announceSelect = document.getElementById('announceSelect');
 const chimeToggle = document.getElementById('chimeToggle');
+const chimePatternSelect = document.getElementById('chimePattern');
+const chimeVolume = document.getElementById('chimeVolume');
+const quietToggle = document.getElementById('quietToggle');
+const quietStart = document.getElementById('quietStart');
+const quietEnd = document.getElementById('quietEnd');
+const chimePreview = document.getElementById('chimePreview');
 const ambientToggle = document.getElementById('ambientToggle');
+const embedCopy = document.getElementById('embedCopy');
+const settingsExport = document.getElementById('settingsExport');
+const settingsImport = document.getElementById('settingsImport');
+const settingsFile = document.getElementById('settingsFile');
+const settingsReset = document.getElementById('settingsReset');
+const settingsBanner = document.getElementById('settingsBanner');
+const settingsBannerClose = document.getElementById('settingsBannerClose');
+const updateBanner = document.getElementById('updateBanner');
+const updateReload = document.getElementById('updateReload');
+const perfOverlay = document.getElementById('perfOverlay');
 const focusToggle = document.getElementById('focusToggle');
 const focusExit = document.getElementById('focusExit');
+const scrubToggle = document.getElementById('scrubToggle');
+const scrubBanner = document.getElementById('scrubBanner');
+const scrubInput = document.getElementById('scrubInput');
+const scrubExit = document.getElementById('scrubExit');
 
 // -------------------------------
 // Panels for world time and calendar
 // -------------------------------
 const timezoneGrid = document.getElementById('timezoneGrid');
 const timezonePanel = document.getElementById('timezonePanel');
+const timezoneEdit = document.getElementById('timezoneEdit');
+const timezoneEditor = document.getElementById('timezoneEditor');
+const timezoneSearch = document.getElementById('timezoneSearch');
+const timezoneResults = document.getElementById('timezoneResults');
+
+const plannerDate = document.getElementById('plannerDate');
+const plannerPrev = document.getElementById('plannerPrev');
+const plannerNext = document.getElementById('plannerNext');
+const plannerWorkStart = document.getElementById('plannerWorkStart');
+const plannerWorkEnd = document.getElementById('plannerWorkEnd');
+const plannerGrid = document.getElementById('plannerGrid');
+const plannerStatus = document.getElementById('plannerStatus');
 
 const calendarPanel = document.getElementById('calendarPanel');
 const calendarTitle = document.getElementById('calendarTitle');
 const calendarGrid = document.getElementById('calendarGrid');
 const calendarPrev = document.getElementById('calendarPrev');
 const calendarNext = document.getElementById('calendarNext');
+const dayDetail = document.getElementById('dayDetail');
+const dayDetailTitle = document.getElementById('dayDetailTitle');
+const dayDetailClose = document.getElementById('dayDetailClose');
+const dayEvents = document.getElementById('dayEvents');
+const eventForm = document.getElementById('eventForm');
+const eventTitle = document.getElementById('eventTitle');
+const eventTime = document.getElementById('eventTime');
+const calendarImport = document.getElementById('calendarImport');
+const calendarExport = document.getElementById('calendarExport');
+const calendarFile = document.getElementById('calendarFile');
 
 // -------------------------------
-// Decorative rings around the clock face
+// Alarm panel, editor form and ringing banner
 // -------------------------------
-const sunArc = document.getElementById('sunArc');
-const sunIndicator = document.getElementById('sunIndicator');
-const secondsRing = document.getElementById('secondsRing');
+const alarmList = document.getElementById('alarmList');
+const alarmForm = document.getElementById('alarmForm');
+const alarmName = document.getElementById('alarmName');
+const alarmTime = document.getElementById('alarmTime');
+const alarmZone = document.getElementById('alarmZone');
+const alarmRepeat = document.getElementById('alarmRepeat');
+const alarmDays = document.getElementById('alarmDays');
+const alarmTone = document.getElementById('alarmTone');
+const alarmPreview = document.getElementById('alarmPreview');
+const alarmBanner = document.getElementById('alarmBanner');
+const alarmBannerName = document.getElementById('alarmBannerName');
+const alarmSnooze = document.getElementById('alarmSnooze');
+const alarmDismiss = document.getElementById('alarmDismiss');
 
 // -------------------------------
-// Clock number layout (only 12, 3, 6, 9 for a minimalist dial)
-// Each entry stores the label text and its angle on the circle.
+// Timer / stopwatch panel
 // -------------------------------
-const numbers = [
-    { num: 12, angle: 0 },
-    { num: 3, angle: 90 },
-    { num: 6, angle: 180 },
-    { num: 9, angle: 270 }
-];
+const dialModeSwitch = document.getElementById('dialModeSwitch');
+const timerReadout = document.getElementById('timerReadout');
+const timerInputs = document.getElementById('timerInputs');
+const timerHours = document.getElementById('timerHours');
+const timerMinutes = document.getElementById('timerMinutes');
+const timerSeconds = document.getElementById('timerSeconds');
+const timerStart = document.getElementById('timerStart');
+const timerReset = document.getElementById('timerReset');
+const timerLap = document.getElementById('timerLap');
+const lapList = document.getElementById('lapList');
 
 // -------------------------------
-// Persistent settings state (saved to localStorage)
-// These values are the source of truth for UI + rendering.
-// -------------------------------
-const settings = {
-    is24Hour: true,
-    smoothSecond: true,
-    timezone: 'local',
-    theme: 'aurora',
-    chime: false,
-    ambient: false,
-    focusMode: false
+// Focus sessions: settings panel, focus-mode strip and dial arc
+// -------------------------------
+const focusWorkInput = document.getElementById('focusWork');
+const focusShortInput = document.getElementById('focusShort');
+const focusLongInput = document.getElementById('focusLong');
+const focusCyclesInput = document.getElementById('focusCycles');
+const focusHistory = document.getElementById('focusHistory');
+const focusPhaseLabel = document.getElementById('focusPhaseLabel');
+const focusRemaining = document.getElementById('focusRemaining');
+const focusStart = document.getElementById('focusStart');
+const focusSkip = document.getElementById('focusSkip');
+const focusReset = document.getElementById('focusReset');
+const focusToday = document.getElementById('focusToday');
+const focusArc = document.getElementById('focusArc');
+const focusBegin = document.getElementById('focusBegin');
+
+// -------------------------------
+// Time sync panel and the status line in the info panel
+// -------------------------------
+const syncNow = document.getElementById('syncNow');
+const syncToggle = document.getElementById('syncToggle');
+const syncUrlInput = document.getElementById('syncUrl');
+const syncIntervalSelect = document.getElementById('syncIntervalSelect');
+const syncDetails = document.getElementById('syncDetails');
+const syncInfo = document.getElementById('syncInfo');
+const syncSeparator = document.getElementById('syncSeparator');
+const syncStatus = document.getElementById('syncStatus');
+const syncMeta = document.getElementById('syncMeta');
+
+// -------------------------------
+// Kiosk panel and the fullscreen button shown in focus mode
+// -------------------------------
+const kioskToggle = document.getElementById('kioskToggle');
+const kioskShiftToggle = document.getElementById('kioskShiftToggle');
+const kioskDimSelect = document.getElementById('kioskDimSelect');
+const kioskDimFrom = document.getElementById('kioskDimFrom');
+const kioskDimTo = document.getElementById('kioskDimTo');
+const kioskDimStart = document.getElementById('kioskDimStart');
+const kioskDimEnd = document.getElementById('kioskDimEnd');
+const kioskStatus = document.getElementById('kioskStatus');
+const focusFullscreen = document.getElementById('focusFullscreen');
+
+// -------------------------------
+// Location settings and solar info panel
+// -------------------------------
+const locationMode = document.getElementById('locationMode');
+const locationCity = document.getElementById('locationCity');
+const locationLatitude = document.getElementById('locationLatitude');
+const locationLongitude = document.getElementById('locationLongitude');
+const locationStatus = document.getElementById('locationStatus');
+const solarDetails = document.getElementById('solarDetails');
+
+// -------------------------------
+// Theme editor and automatic switching
+// -------------------------------
+const themeMode = document.getElementById('themeMode');
+const themeDay = document.getElementById('themeDay');
+const themeNight = document.getElementById('themeNight');
+const themeScheduleStart = document.getElementById('themeScheduleStart');
+const themeScheduleEnd = document.getElementById('themeScheduleEnd');
+const themeDayStart = document.getElementById('themeDayStart');
+const themeNightStart = document.getElementById('themeNightStart');
+const themeColors = document.getElementById('themeColors');
+const themeName = document.getElementById('themeName');
+const themeSave = document.getElementById('themeSave');
+const themeSaveNew = document.getElementById('themeSaveNew');
+const themeRevert = document.getElementById('themeRevert');
+const themeDelete = document.getElementById('themeDelete');
+const themeImport = document.getElementById('themeImport');
+const themeExport = document.getElementById('themeExport');
+const themeFile = document.getElementById('themeFile');
+
+// -------------------------------
+// Keyboard shortcut list and command palette
+// -------------------------------
+const shortcutsOpen = document.getElementById('shortcutsOpen');
+const shortcutOverlay = document.getElementById('shortcutOverlay');
+const shortcutList = document.getElementById('shortcutList');
+const shortcutHint = document.getElementById('shortcutHint');
+const shortcutClose = document.getElementById('shortcutClose');
+const shortcutReset = document.getElementById('shortcutReset');
+const commandPalette = document.getElementById('commandPalette');
+const paletteSearch = document.getElementById('paletteSearch');
+const paletteResults = document.getElementById('paletteResults');
+
+// -------------------------------
+// Dashboard of analog clocks and the clock face template it clones
+// -------------------------------
+const dashboard = document.getElementById('dashboard');
+const dashboardEdit = document.getElementById('dashboardEdit');
+const dashboardExit = document.getElementById('dashboardExit');
+const dashboardEditor = document.getElementById('dashboardEditor');
+const dashboardLabel = document.getElementById('dashboardLabel');
+const dashboardZone = document.getElementById('dashboardZone');
+const dashboardDial = document.getElementById('dashboardDial');
+const dashboardSun = document.getElementById('dashboardSun');
+const dashboardColumnsSelect = document.getElementById('dashboardColumnsSelect');
+const dashboardGrid = document.getElementById('dashboardGrid');
+const dashboardToggle = document.getElementById('dashboardToggle');
+const clockFaceTemplate = document.getElementById('clockFaceTemplate');
+
+// -------------------------------
+// Dial styles
+// ticks: markers around the edge (major every `major`), labels: hours that get
+// a numeral, hours: how many hours one turn of the hour hand covers.
+// -------------------------------
+const dialStyles = {
+    classic: { ticks: 60, major: 5, labels: [12, 3, 6, 9], hours: 12 },
+    arabic: { ticks: 60, major: 5, labels: [12, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11], hours: 12 },
+    roman: { ticks: 60, major: 5, labels: [12, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11], hours: 12, roman: true },
+    minimal: { ticks: 0, major: 1, labels: [12], hours: 12 },
+    '24h': { ticks: 24, major: 3, labels: [0, 3, 6, 9, 12, 15, 18, 21], hours: 24 }
 };
 
+const romanNumerals = ['', 'I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX', 'X', 'XI', 'XII'];
+
+// -------------------------------
+// Persistent settings state (saved to localStorage)
+// These values are the source of truth for UI + rendering. Fields,
+// defaults and validation live in the schema in settings.js.
+// -------------------------------
+const settings = getDefaultSettings();
+
 // -------------------------------
 // Cached formatter + runtime state
 // -------------------------------
 let timeFormatter = null;       // Intl.DateTimeFormat for time display
 let dateFormatter = null;       // Intl.DateTimeFormat for date display
+let shortTimeFormatter = null;  // Intl.DateTimeFormat for hour:minute values (sun times)
+let announceFormatter = null;   // Intl.DateTimeFormat for spoken time announcements
+let weekdayNames = [];          // Localized short weekday names, Sunday first
 let lastTickKey = '';           // Used to skip frames when smooth seconds disabled
-let lastChimeMinute = null;     // Prevents repeated chimes inside the same minute
+let lastSecondKey = '';         // Second the per-second work last ran for
+let lastMinuteKey = '';         // Date + minute the per-minute work last ran for
+let lastChimeCheck = Date.now(); // Last instant chimes were checked (catches up after throttling)
+let chimeBusyUntil = 0;         // audioContext time when the current chime sequence ends
 let calendarMonthOffset = 0;    // Offset from the current month for calendar navigation
-let sunriseData = null;         // { sunrise, sunset } or null when unavailable
-let sunriseDateKey = '';        // Date string to refresh sunrise data daily
+let calendarDateKey = '';       // Clock date the calendar was built for (rebuilds at midnight)
+let selectedDateKey = null;     // 'YYYY-MM-DD' of the day open in the detail view
+let calendarFocusKey = null;    // 'YYYY-MM-DD' of the day cell that takes keyboard focus
+let lastAnnounceKey = '';       // Date + minute of the last interval announcement
+let lastEventMinuteKey = '';    // Date + minute the host page minute event last fired for
+let announcedSettings = {};     // Settings JSON by key as of the last settingschange event
+let settingsBatch = false;      // setSettings() is applying several changes; announce them once at the end
+let bridgeOrigin = null;        // Origin of the iframe parent that last subscribed to events
+let paletteEntries = [];        // Command palette entries matching the current search
+let paletteIndex = 0;           // Highlighted palette entry
+let rebindingCommand = null;    // Command id waiting for a new key in the shortcut list
+let overlayReturnFocus = null;  // Element to refocus when an overlay closes
+let timezoneEditMode = false;   // World time panel shows editing controls when true
+let plannerDateKey = '';        // 'YYYY-MM-DD' shown in the meeting planner, '' for today
+let dashboardFaces = [];        // Clock faces in the dashboard grid, rebuilt by buildDashboard()
+let dashboardEditMode = false;  // Dashboard shows editing controls when true
+let sunriseData = null;         // Sun event times from calcSunTimes() or null when unavailable
+let sunLocation = null;         // { latitude, longitude, label } used for sun data
+let sunriseDateKey = '';        // Clock date the sun data was computed for (refreshes daily)
+let activeThemeId = '';         // Theme currently applied to the page (may differ from settings.theme)
+let themePreviewing = false;    // Editor colors are applied but not saved
+let animationFrameId = null;     // Pending animation frame, null while the loop is paused
+let perfStats = null;           // Frame timing totals while the overlay is shown, otherwise null
+let waitingWorker = null;       // Installed service worker waiting to take over
 let ambientPhase = 0;           // Phase used for ambient hue animation
 let audioContext = null;        // Web Audio context for chime
 let masterGain = null;          // Master gain node for chime volume
+let lastAlarmCheck = Date.now(); // Last instant alarms were checked (catches up after throttling)
+let ringingAlarmIds = [];       // Alarms currently ringing, in the order they fired
+let ringStartedAt = 0;          // When the current ringing episode began
+let lastRingToneAt = 0;         // When the ringing tone last repeated
+let dialMode = 'clock';         // What the hands show: 'clock', 'timer' or 'stopwatch'
+let scrubTime = null;           // Instant (ms) previewed in scrub mode, null for live time
+let scrubDrag = null;           // { period, angle } while a hand or the sun is being dragged
+let settingsRecovered = false;  // Stored settings were unreadable and defaults are in use
+let wakeLock = null;            // Screen wake lock sentinel while kiosk mode holds one
+let wakeLockPending = false;    // A wake lock request is in flight
+let wakeLockError = '';         // Why the last wake lock request failed, '' otherwise
+
+// -------------------------------
+// Time source
+// Everything that renders "now" (hands, readouts, world times, sun ring,
+// calendar, planner) reads getNow() instead of new Date(). Scrub mode and
+// tests swap the source with setTimeSource(). Alarms, chimes and the
+// timer/stopwatch always follow real time. Live time includes the time
+// sync correction.
+// -------------------------------
+const liveTimeSource = () => new Date(Date.now() + getClockCorrection());
+const scrubTimeSource = () => new Date(scrubTime);
+let timeSource = liveTimeSource;
+
+function getNow() {
+    return timeSource();
+}
 
 // -------------------------------
 // Accessibility: reduce motion for users who prefer less animation
@@ -95,26 +318,324 @@ if (prefersReducedMotion) {
 
 // -------------------------------
 // Load stored settings (if any) and merge into defaults
+// Stored data is migrated to the current schema version and each field is
+// validated; invalid values keep their defaults. Unreadable storage is kept
+// under modernClockSettingsCorrupt and the clock starts from defaults.
 // -------------------------------
-const storedSettings = JSON.parse(localStorage.getItem('modernClockSettings') || '{}');
+const settingChecks = {
+    zone: zone => ['local', 'utc'].includes(zone) || isValidTimeZone(zone),
+    dialStyle: style => Object.hasOwn(dialStyles, style),
+    locale: tag => tag === 'auto' || isValidLocale(tag),
+    calendar: isSupportedCalendar
+};
+
+function loadStoredSettings() {
+    const text = localStorage.getItem('modernClockSettings');
+    let stored = {};
+    try {
+        stored = JSON.parse(text || '{}');
+    } catch (error) {
+        localStorage.setItem('modernClockSettingsCorrupt', text);
+        settingsRecovered = true;
+    }
+
+    // Only keys that were stored (and valid) override the defaults
+    const migrated = migrateSettings(stored);
+    const { values, rejected } = validateSettings(migrated, settingChecks);
+    const loaded = {};
+    Object.keys(values).forEach(key => {
+        if (key in migrated && !rejected.includes(key)) {
+            loaded[key] = values[key];
+        }
+    });
+    return loaded;
+}
+
+const storedSettings = loadStoredSettings();
 Object.assign(settings, storedSettings);
 
+// -------------------------------
+// URL overrides for links and embeds, e.g. ?zone=Europe/Paris&format=12&widget=1
+// Query and hash parameters both work (the hash wins). Overridden settings
+// apply to this page only and are never written back to localStorage.
+//   zone     local, utc or an IANA zone     format  12 or 24
+//   theme    theme id                       face    dial style key
+//   panels   comma list of embedPanels keys, or none
+//   bg       transparent                    widget  1 for the compact layout
+//   perf     1 to show the frame timing overlay
+// -------------------------------
+const embedPanels = {
+    digital: '.info-panel',
+    world: '.timezone-panel',
+    planner: '.planner-panel',
+    sync: '.sync-panel',
+    calendar: '.calendar-panel',
+    sun: '.solar-panel',
+    alarms: '.alarm-panel',
+    dial: '.timer-panel',
+    focus: '.focus-panel',
+    chimes: '.chime-panel',
+    theme: '.theme-panel',
+    kiosk: '.kiosk-panel',
+    controls: '.controls'
+};
+
+function readUrlOptions() {
+    const params = new URLSearchParams(window.location.search);
+    new URLSearchParams(window.location.hash.slice(1)).forEach((value, key) => params.set(key, value));
+
+    const overrides = {};
+    const zone = params.get('zone');
+    if (zone && ['local', 'utc'].includes(zone.toLowerCase())) {
+        overrides.timezone = zone.toLowerCase();
+    } else if (zone && isValidTimeZone(zone)) {
+        overrides.timezone = zone;
+    }
+    if (['12', '24'].includes(params.get('format'))) {
+        overrides.is24Hour = params.get('format') === '24';
+    }
+    if (params.get('theme')) {
+        overrides.theme = params.get('theme');
+        overrides.themeMode = 'fixed';
+    }
+    if (Object.hasOwn(dialStyles, params.get('face'))) {
+        overrides.dialStyle = params.get('face');
+    }
+    if (['0', '1'].includes(params.get('dashboard'))) {
+        overrides.dashboard = params.get('dashboard') === '1';
+    }
+    if (['0', '1'].includes(params.get('kiosk'))) {
+        overrides.kiosk = params.get('kiosk') === '1';
+    }
+
+    const widget = params.get('widget') === '1';
+    let panels = widget ? ['digital'] : null;
+    if (params.has('panels')) {
+        panels = params.get('panels').split(',').map(name => name.trim()).filter(name => Object.hasOwn(embedPanels, name));
+    }
+
+    return {
+        overrides,
+        panels,
+        widget,
+        transparent: params.get('bg') === 'transparent',
+        perf: params.get('perf') === '1'
+    };
+}
+
+const urlOptions = readUrlOptions();
+Object.assign(settings, urlOptions.overrides);
+
 // -------------------------------
 // Sync UI controls with stored settings
 // -------------------------------
 formatToggle.checked = settings.is24Hour;
 smoothToggle.checked = settings.smoothSecond;
-timezoneSelect.value = settings.timezone;
+calendarSystemSelect.value = settings.calendar;
+numberingSelect.value = settings.numbering;
+weekStartSelect.value = settings.weekStart;
+announceSelect.value = settings.announce;
 themeSelect.value = settings.theme;
+dialStyleSelect.value = settings.dialStyle;
+themeMode.value = settings.themeMode;
+themeDayStart.value = settings.themeDayStart;
+themeNightStart.value = settings.themeNightStart;
 chimeToggle.checked = settings.chime;
+chimePatternSelect.value = settings.chimePattern;
+chimeVolume.value = Math.round(settings.chimeVolume * 100);
+quietToggle.checked = settings.quietHours;
+quietStart.value = settings.quietStart;
+quietEnd.value = settings.quietEnd;
+plannerWorkStart.value = settings.workStart;
+plannerWorkEnd.value = settings.workEnd;
+syncToggle.checked = settings.syncEnabled;
+syncUrlInput.value = settings.syncUrl;
+syncIntervalSelect.value = settings.syncInterval;
+kioskToggle.checked = settings.kiosk;
+kioskShiftToggle.checked = settings.kioskShift;
+kioskDimSelect.value = settings.kioskDim;
+kioskDimStart.value = settings.kioskDimStart;
+kioskDimEnd.value = settings.kioskDimEnd;
 ambientToggle.checked = settings.ambient;
+focusWorkInput.value = settings.focusWork;
+focusShortInput.value = settings.focusShortBreak;
+focusLongInput.value = settings.focusLongBreak;
+focusCyclesInput.value = settings.focusCycles;
 
 // -------------------------------
 // Resolve timezone option for Intl formatting
 // Return undefined to use local browser timezone.
+// Any other value is an IANA zone ID such as 'Europe/Berlin'.
 // -------------------------------
 function getTimeZoneOption() {
-    return settings.timezone === 'utc' ? 'UTC' : undefined;
+    return resolveTimeZone(settings.timezone);
+}
+
+// -------------------------------
+// Map a stored zone setting ('local', 'utc' or an IANA ID) to an Intl timeZone
+// -------------------------------
+function resolveTimeZone(value) {
+    if (!value || value === 'local') return undefined;
+    if (value === 'utc') return 'UTC';
+    return value;
+}
+
+// -------------------------------
+// Cached formatters that split a date into numeric parts per zone
+// An undefined zone uses the browser's local time zone.
+// -------------------------------
+const zonePartFormatters = new Map();
+
+function getZoneParts(date, zone) {
+    const key = zone || 'local';
+    let formatter = zonePartFormatters.get(key);
+    if (!formatter) {
+        formatter = new Intl.DateTimeFormat('en-US', {
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric',
+            hourCycle: 'h23',
+            timeZone: zone
+        });
+        zonePartFormatters.set(key, formatter);
+    }
+
+    const parts = {};
+    formatter.formatToParts(date).forEach(part => {
+        if (part.type !== 'literal') {
+            parts[part.type] = Number(part.value);
+        }
+    });
+
+    return {
+        year: parts.year,
+        month: parts.month - 1,
+        day: parts.day,
+        hours: parts.hour % 24,
+        minutes: parts.minute,
+        seconds: parts.second
+    };
+}
+
+// -------------------------------
+// Offset of a zone from UTC in minutes at the given instant
+// -------------------------------
+function getZoneOffsetMinutes(date, zone) {
+    const parts = getZoneParts(date, zone);
+    const asUtc = Date.UTC(parts.year, parts.month, parts.day, parts.hours, parts.minutes, parts.seconds);
+    const instant = Math.floor(date.getTime() / 1000) * 1000;
+    return Math.round((asUtc - instant) / 60000);
+}
+
+// -------------------------------
+// Locale, calendar system and numbering for all displayed dates/times
+// Internal math (getZoneParts) stays on en-US Gregorian parts.
+// -------------------------------
+const localeChoices = [
+    'en-US', 'en-GB', 'de-DE', 'fr-FR', 'es-ES', 'it-IT', 'pt-BR', 'nl-NL', 'sv-SE', 'pl-PL', 'ru-RU',
+    'tr-TR', 'ar-EG', 'ar-SA', 'fa-IR', 'he-IL', 'hi-IN', 'bn-BD', 'th-TH', 'zh-CN', 'ja-JP', 'ko-KR'
+];
+
+function isValidLocale(tag) {
+    try {
+        return Intl.getCanonicalLocales(tag).length === 1;
+    } catch (error) {
+        return false;
+    }
+}
+
+function isSupportedCalendar(calendar) {
+    try {
+        return new Intl.DateTimeFormat('en-US', { calendar }).resolvedOptions().calendar === calendar;
+    } catch (error) {
+        return false;
+    }
+}
+
+function getLocale() {
+    const tag = settings.locale === 'auto' ? navigator.language : settings.locale;
+    return isValidLocale(tag) ? tag : 'en-US';
+}
+
+// Extra Intl options for the chosen calendar and digits
+function getLocaleOptions() {
+    const options = { calendar: settings.calendar };
+    if (settings.numbering !== 'auto') {
+        options.numberingSystem = settings.numbering;
+    }
+    return options;
+}
+
+// -------------------------------
+// First day of the week, Sunday = 0
+// Intl.Locale week data is newer than the rest of Intl, so fall back to Sunday.
+// -------------------------------
+function getFirstWeekday() {
+    if (settings.weekStart !== 'auto') return Number(settings.weekStart);
+    try {
+        const locale = new Intl.Locale(getLocale());
+        const info = typeof locale.getWeekInfo === 'function' ? locale.getWeekInfo() : locale.weekInfo;
+        if (info && info.firstDay) return info.firstDay % 7;
+    } catch (error) {
+        // Older engines without Intl.Locale
+    }
+    return 0;
+}
+
+// -------------------------------
+// Language picker options, each labelled in its own language
+// -------------------------------
+function buildLocaleOptions() {
+    localeSelect.innerHTML = '';
+    const browser = document.createElement('option');
+    browser.value = 'auto';
+    browser.textContent = 'Browser';
+    localeSelect.appendChild(browser);
+
+    localeChoices.forEach(tag => {
+        const option = document.createElement('option');
+        option.value = tag;
+        try {
+            option.textContent = new Intl.DisplayNames([tag], { type: 'language' }).of(tag);
+        } catch (error) {
+            option.textContent = tag;
+        }
+        localeSelect.appendChild(option);
+    });
+
+    // Keep a stored tag selectable even when it isn't in the list
+    if (!localeChoices.includes(settings.locale) && settings.locale !== 'auto') {
+        const option = document.createElement('option');
+        option.value = settings.locale;
+        option.textContent = settings.locale;
+        localeSelect.appendChild(option);
+    }
+    localeSelect.value = settings.locale;
+}
+
+// -------------------------------
+// Localized weekday names, also used for the alarm day checkboxes
+// which are reordered to start on the locale's first weekday.
+// -------------------------------
+function updateWeekdayNames() {
+    const formatter = new Intl.DateTimeFormat(getLocale(), { weekday: 'short', timeZone: 'UTC', ...getLocaleOptions() });
+    // 4 Jan 1970 was a Sunday
+    weekdayNames = Array.from({ length: 7 }, (_, day) => formatter.format(new Date(Date.UTC(1970, 0, 4 + day))));
+
+    const firstWeekday = getFirstWeekday();
+    const labels = Array.from(alarmDays.querySelectorAll('label'));
+    labels.forEach(label => {
+        label.lastChild.textContent = weekdayNames[Number(label.querySelector('input').value)];
+    });
+    labels
+        .sort((a, b) => {
+            const order = label => (Number(label.querySelector('input').value) - firstWeekday + 7) % 7;
+            return order(a) - order(b);
+        })
+        .forEach(label => alarmDays.appendChild(label));
 }
 
 // -------------------------------
@@ -122,38 +643,110 @@ function getTimeZoneOption() {
 // -------------------------------
 function updateFormatters() {
     const timeZone = getTimeZoneOption();
-    timeFormatter = new Intl.DateTimeFormat('en-US', {
+    const locale = getLocale();
+    const localeOptions = getLocaleOptions();
+    document.documentElement.lang = locale;
+    zoneTimeFormatters.clear();
+
+    timeFormatter = new Intl.DateTimeFormat(locale, {
         hour: '2-digit',
         minute: '2-digit',
         second: '2-digit',
         hour12: !settings.is24Hour,
-        timeZone
+        timeZone,
+        ...localeOptions
     });
 
-    dateFormatter = new Intl.DateTimeFormat('en-US', {
+    dateFormatter = new Intl.DateTimeFormat(locale, {
         month: 'short',
         day: 'numeric',
         year: 'numeric',
-        timeZone
+        timeZone,
+        ...localeOptions
+    });
+
+    shortTimeFormatter = new Intl.DateTimeFormat(locale, {
+        hour: '2-digit',
+        minute: '2-digit',
+        hour12: !settings.is24Hour,
+        timeZone,
+        ...localeOptions
+    });
+
+    announceFormatter = new Intl.DateTimeFormat(locale, {
+        dateStyle: 'full',
+        timeStyle: 'short',
+        hour12: !settings.is24Hour,
+        timeZone,
+        ...localeOptions
     });
+
+    updateWeekdayNames();
 }
 
 // -------------------------------
-// Remove any existing markers (used on resize)
+// Dial style helpers
+// Default to the main clock's dial; dashboard faces pass their own style.
 // -------------------------------
-function clearMarkers() {
-    const markers = clock.querySelectorAll('.marker, .number');
-    markers.forEach(marker => marker.remove());
+function getDialStyle(key = settings.dialStyle) {
+    return dialStyles[key] || dialStyles.classic;
+}
+
+// Hour hand angle (degrees from 12 o'clock) for a fractional hour of the day.
+// The 24-hour dial puts noon at the top so the hand follows the sun ring;
+// a duration (timer, stopwatch) still starts from the top.
+function getHourAngle(hour, style = getDialStyle(), isDuration = false) {
+    if (style.hours === 24) {
+        return ((hour / 24) * 360 + (isDuration ? 0 : 180)) % 360;
+    }
+    return (hour % 12) * 30;
+}
+
+// Where midnight sits on the sun ring, matching the dial's hour layout
+function getSunRingRotation(style = getDialStyle()) {
+    return style.hours === 24 ? 180 : -90;
 }
 
 // -------------------------------
-// Build the 60 markers and the 4 numeric labels
+// Clock face component
+// One analog face: tick markers and numerals for a dial style, the hands,
+// the seconds ring and an optional sun ring, shown in its own time zone.
+// The main clock and every dashboard clock are faces drawn by the one
+// animation loop; all writes are dirty-checked, so idle faces cost nothing.
+//   zone       zone setting ('local', 'utc' or an IANA zone)
+//   dialStyle  key of dialStyles
+//   sunRing    false hides the sunrise/sunset ring
 // -------------------------------
-function buildMarkers() {
-    clearMarkers();
+function createClockFace(element, options) {
+    return {
+        element,
+        hourHand: element.querySelector('.hour-hand'),
+        minuteHand: element.querySelector('.minute-hand'),
+        secondHand: element.querySelector('.second-hand'),
+        secondsRing: element.querySelector('.seconds-ring'),
+        sunRing: element.querySelector('.sun-ring'),
+        sunArc: element.querySelector('.sun-arc'),
+        sunIndicator: element.querySelector('.sun-indicator'),
+        zone: options.zone,
+        dialStyle: options.dialStyle,
+        showSun: options.sunRing !== false,
+        sunRadius: 164,     // Sun indicator distance from the center in px (set by buildFaceMarkers)
+        sunData: null,      // Sun times for the face's day (dashboard faces; the main face uses sunriseData)
+        sunKey: '',         // Day and location sunData was computed for
+        offset: 0,          // Zone offset in minutes, refreshed each minute
+        offsetMinute: null  // Epoch minute the offset was read at
+    };
+}
+
+// Build the tick markers and hour labels for the face's dial style
+function buildFaceMarkers(face) {
+    face.element.querySelectorAll('.marker, .number').forEach(marker => marker.remove());
+    const style = getDialStyle(face.dialStyle);
+    Object.keys(dialStyles).forEach(name => face.element.classList.toggle(`dial-${name}`, style === dialStyles[name]));
+    face.sunRing.hidden = !face.showSun;
 
     // Size is dynamic to support responsive resizing
-    const rect = clock.getBoundingClientRect();
+    const rect = face.element.getBoundingClientRect();
     const size = rect.width;
     const center = size / 2;
     const markerRadius = size * 0.47;
@@ -161,60 +754,86 @@ function buildMarkers() {
     const sunRadius = size * 0.41;
 
     // Store sun radius as a CSS custom property for the indicator position
-    clock.style.setProperty('--sun-radius', `${sunRadius}px`);
+    face.element.style.setProperty('--sun-radius', `${sunRadius}px`);
+    face.sunRadius = sunRadius;
 
-    // Minute/second markers around the dial
-    for (let i = 0; i < 60; i++) {
+    // Markers around the dial (minutes, or hours on the 24-hour dial)
+    for (let i = 0; i < style.ticks; i++) {
         const marker = document.createElement('div');
-        marker.className = i % 5 === 0 ? 'marker major' : 'marker';
-        const angle = i * 6; // 360 degrees / 60 markers
+        marker.className = i % style.major === 0 ? 'marker major' : 'marker';
+        const angle = i * (360 / style.ticks);
         marker.style.transform = `translate(-50%, -${markerRadius}px) rotate(${angle}deg)`;
-        clock.appendChild(marker);
+        face.element.appendChild(marker);
     }
 
-    // Numeric labels placed manually for a clean look
-    numbers.forEach(item => {
+    // Hour labels use the locale's digits unless the dial is Roman
+    const numberFormatter = new Intl.NumberFormat(getLocale(), { useGrouping: false, ...getLocaleOptions() });
+    style.labels.forEach(hour => {
         const numberDiv = document.createElement('div');
         numberDiv.className = 'number';
-        numberDiv.textContent = item.num;
+        numberDiv.textContent = style.roman ? romanNumerals[hour] : numberFormatter.format(hour);
 
-        const angleRad = (item.angle - 90) * (Math.PI / 180);
+        const angleRad = (getHourAngle(hour, style) - 90) * (Math.PI / 180);
         const x = center + numberRadius * Math.cos(angleRad);
         const y = center + numberRadius * Math.sin(angleRad);
 
         numberDiv.style.left = `${x}px`;
         numberDiv.style.top = `${y}px`;
 
-        clock.appendChild(numberDiv);
+        face.element.appendChild(numberDiv);
     });
 }
 
+// Point the hands at a (fractional) hour, minute and second of the day, or
+// of a duration
+function setFaceHands(face, hours, minutes, seconds, isDuration = false) {
+    setStyle(face.secondHand, 'transform', `rotate(${seconds * 6}deg)`);
+    setStyle(face.minuteHand, 'transform', `rotate(${minutes * 6}deg)`);
+    setStyle(face.hourHand, 'transform', `rotate(${getHourAngle(hours, getDialStyle(face.dialStyle), isDuration)}deg)`);
+}
+
+// -------------------------------
+// Main clock face: follows the clock settings and also carries the
+// event markers, focus arc and timer/stopwatch modes
+// -------------------------------
+const mainFace = createClockFace(clock, { zone: settings.timezone, dialStyle: settings.dialStyle });
+
+function buildMarkers() {
+    mainFace.zone = settings.timezone;
+    mainFace.dialStyle = settings.dialStyle;
+    buildFaceMarkers(mainFace);
+    buildEventMarkers();
+    updateSunRing(getNow());
+}
+
 // -------------------------------
 // Return time parts in the currently selected timezone
+// Parts come from Intl so every zone goes through the same path;
+// milliseconds are zone-independent since offsets are whole minutes.
 // -------------------------------
 function getTimeParts(now) {
-    if (settings.timezone === 'utc') {
-        return {
-            hours: now.getUTCHours(),
-            minutes: now.getUTCMinutes(),
-            seconds: now.getUTCSeconds(),
-            milliseconds: now.getUTCMilliseconds()
-        };
-    }
-
+    const { hours, minutes, seconds } = getZoneParts(now, getTimeZoneOption());
     return {
-        hours: now.getHours(),
-        minutes: now.getMinutes(),
-        seconds: now.getSeconds(),
-        milliseconds: now.getMilliseconds()
+        hours,
+        minutes,
+        seconds,
+        milliseconds: now.getUTCMilliseconds()
     };
 }
 
 // -------------------------------
-// Static list of world time zones shown in the panel
+// Calendar date (year, month, day) in the currently selected timezone
+// -------------------------------
+function getClockDate(now) {
+    const { year, month, day } = getZoneParts(now, getTimeZoneOption());
+    return { year, month, day };
+}
+
+// -------------------------------
+// Default world time zones shown in the panel
 // Each item includes a label + IANA time zone ID.
 // -------------------------------
-const timezones = [
+const defaultTimezones = [
     { label: 'New York', zone: 'America/New_York' },
     { label: 'London', zone: 'Europe/London' },
     { label: 'Tokyo', zone: 'Asia/Tokyo' },
@@ -222,275 +841,4119 @@ const timezones = [
 ];
 
 // -------------------------------
-// Create the time zone cards
+// Check whether a string is a time zone Intl can format
 // -------------------------------
-function buildTimezonePanel() {
-    timezoneGrid.innerHTML = '';
-    timezones.forEach(entry => {
-        const card = document.createElement('div');
-        card.className = 'timezone-card';
-        card.innerHTML = `
-            <div class="tz-city">${entry.label}</div>
-            <div class="tz-time" data-zone="${entry.zone}">00:00</div>
-        `;
-        timezoneGrid.appendChild(card);
-    });
+function isValidTimeZone(zone) {
+    if (typeof zone !== 'string' || !zone) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: zone });
+        return true;
+    } catch (error) {
+        return false;
+    }
 }
 
 // -------------------------------
-// Update each time zone card with the current time
+// Load the user's world time list, falling back to the defaults
+// Entries with unknown zones are dropped so a bad value can't break the panel.
 // -------------------------------
-function updateTimezonePanel(now) {
-    const use24 = settings.is24Hour;
-    timezoneGrid.querySelectorAll('.tz-time').forEach(node => {
-        const zone = node.getAttribute('data-zone');
-        const formatter = new Intl.DateTimeFormat('en-US', {
-            hour: '2-digit',
-            minute: '2-digit',
-            second: '2-digit',
-            hour12: !use24,
-            timeZone: zone
-        });
-        node.textContent = formatter.format(now);
-    });
+function loadTimezones() {
+    try {
+        const stored = JSON.parse(localStorage.getItem('modernClockTimezones') || 'null');
+        if (Array.isArray(stored)) {
+            return stored
+                .filter(entry => entry && isValidTimeZone(entry.zone))
+                .map(entry => ({ label: String(entry.label || entry.zone), zone: entry.zone }));
+        }
+    } catch (error) {
+        // Corrupt storage falls through to the defaults
+    }
+    return defaultTimezones.map(entry => ({ ...entry }));
 }
 
 // -------------------------------
-// Apply the selected theme class to <body>
+// Persist the world time list next to the main settings
 // -------------------------------
-function setTheme(themeName) {
-    document.body.classList.remove('theme-aurora', 'theme-desert', 'theme-steel');
-    document.body.classList.add(`theme-${themeName}`);
+function saveTimezones() {
+    localStorage.setItem('modernClockTimezones', JSON.stringify(timezones));
 }
 
+const timezones = loadTimezones();
+
 // -------------------------------
-// Persist settings in localStorage for next load
+// Full list of IANA zones for the picker
+// Older browsers without Intl.supportedValuesOf only get the defaults.
 // -------------------------------
-function saveSettings() {
-    localStorage.setItem('modernClockSettings', JSON.stringify(settings));
-}
+const availableTimezones = typeof Intl.supportedValuesOf === 'function'
+    ? Intl.supportedValuesOf('timeZone')
+    : defaultTimezones.map(entry => entry.zone);
 
 // -------------------------------
-// Create an AudioContext on first use (chime feature)
+// Convert a wall-clock time in a zone to a UTC instant
+// The second pass corrects the guess when it lands across a DST change.
+// Times skipped by a spring-forward gap resolve to the same clock time
+// shifted past the gap (02:30 becomes 03:30).
 // -------------------------------
-function initAudio() {
-    if (audioContext) return;
-    audioContext = new (window.AudioContext || window.webkitAudioContext)();
-    masterGain = audioContext.createGain();
-    masterGain.gain.value = 0.35;
-    masterGain.connect(audioContext.destination);
+function getZonedInstant(year, month, day, hours, minutes, zone) {
+    const guess = Date.UTC(year, month, day, hours, minutes);
+    const firstOffset = getZoneOffsetMinutes(new Date(guess), zone);
+    const instant = guess - firstOffset * 60000;
+    const secondOffset = getZoneOffsetMinutes(new Date(instant), zone);
+    if (secondOffset === firstOffset) {
+        return new Date(instant);
+    }
+
+    const corrected = new Date(guess - secondOffset * 60000);
+    const check = getZoneParts(corrected, zone);
+    return check.hours === hours && check.minutes === minutes ? corrected : new Date(instant);
 }
 
 // -------------------------------
-// Play a short chime using a sine oscillator
+// Format an offset in minutes as "UTC+5:30" style text
 // -------------------------------
-function playChime() {
-    initAudio();
-    if (audioContext.state === 'suspended') {
-        audioContext.resume();
-    }
-    const osc = audioContext.createOscillator();
-    const gain = audioContext.createGain();
-    osc.type = 'sine';
-    osc.frequency.setValueAtTime(660, audioContext.currentTime);
-    gain.gain.setValueAtTime(0.001, audioContext.currentTime);
-    gain.gain.exponentialRampToValueAtTime(0.4, audioContext.currentTime + 0.01);
-    gain.gain.exponentialRampToValueAtTime(0.001, audioContext.currentTime + 0.4);
-    osc.connect(gain);
-    gain.connect(masterGain);
-    osc.start();
-    osc.stop(audioContext.currentTime + 0.45);
+function formatUtcOffset(offsetMinutes) {
+    if (offsetMinutes === 0) return 'UTC';
+    const sign = offsetMinutes > 0 ? '+' : '-';
+    const abs = Math.abs(offsetMinutes);
+    const hours = Math.floor(abs / 60);
+    const minutes = abs % 60;
+    return minutes ? `UTC${sign}${hours}:${String(minutes).padStart(2, '0')}` : `UTC${sign}${hours}`;
 }
 
 // -------------------------------
-// Build a simple monthly calendar grid
-// offset = 0 => current month, 1 => next month, -1 => previous month
+// DST is in effect when the current offset is ahead of the zone's
+// standard (smallest) offset for the year.
 // -------------------------------
-function buildCalendar(offset = 0) {
-    const now = new Date();
-    const target = new Date(now.getFullYear(), now.getMonth() + offset, 1);
-    const year = target.getFullYear();
-    const month = target.getMonth();
-
-    calendarTitle.textContent = target.toLocaleDateString('en-US', {
-        month: 'long',
-        year: 'numeric'
-    });
-
-    const headers = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-    calendarGrid.innerHTML = '';
-    headers.forEach(label => {
-        const cell = document.createElement('div');
-        cell.className = 'calendar-cell header';
-        cell.textContent = label;
-        calendarGrid.appendChild(cell);
-    });
-
-    const firstDay = new Date(year, month, 1).getDay();
-    const daysInMonth = new Date(year, month + 1, 0).getDate();
-    const today = new Date();
-
-    // Leading empty cells align the first day correctly
-    for (let i = 0; i < firstDay; i++) {
-        const cell = document.createElement('div');
-        cell.className = 'calendar-cell';
-        cell.textContent = '';
-        calendarGrid.appendChild(cell);
-    }
-
-    // Create each day cell and highlight today
-    for (let day = 1; day <= daysInMonth; day++) {
-        const cell = document.createElement('div');
-        cell.className = 'calendar-cell';
-        cell.textContent = day;
-        if (
-            day === today.getDate() &&
-            month === today.getMonth() &&
-            year === today.getFullYear()
-        ) {
-            cell.classList.add('today');
-        }
-        calendarGrid.appendChild(cell);
-    }
+function isZoneInDst(date, zone) {
+    const year = getZoneParts(date, zone).year;
+    const january = getZoneOffsetMinutes(new Date(Date.UTC(year, 0, 1)), zone);
+    const july = getZoneOffsetMinutes(new Date(Date.UTC(year, 6, 1)), zone);
+    if (january === july) return false;
+    return getZoneOffsetMinutes(date, zone) > Math.min(january, july);
 }
 
 // -------------------------------
-// Toggle focus mode to hide panels and enlarge the clock
+// Calendar day difference between a zone and the main clock
 // -------------------------------
-function toggleFocusMode() {
-    settings.focusMode = !settings.focusMode;
-    document.body.classList.toggle('focus-mode', settings.focusMode);
-    focusToggle.textContent = settings.focusMode ? 'Exit Focus' : 'Focus Mode';
-    saveSettings();
+function getZoneDayDifference(date, zone) {
+    const there = getZoneParts(date, zone);
+    const here = getZoneParts(date, getTimeZoneOption());
+    const diff = Date.UTC(there.year, there.month, there.day) - Date.UTC(here.year, here.month, here.day);
+    return Math.round(diff / 86400000);
 }
 
 // -------------------------------
-// Apply a gentle ambient hue-shift when enabled
+// Human-friendly label for a day difference
 // -------------------------------
-function applyAmbientMode() {
-    if (!settings.ambient) {
-        document.body.style.filter = '';
-        return;
-    }
-    ambientPhase = (ambientPhase + 0.002) % 1;
-    const hue = 200 + Math.sin(ambientPhase * Math.PI * 2) * 20;
-    document.body.style.filter = `hue-rotate(${hue}deg) brightness(0.95)`;
+function formatDayDifference(days) {
+    if (days === 0) return 'Today';
+    const sign = days > 0 ? '+' : '-';
+    const abs = Math.abs(days);
+    return `${sign}${abs} ${abs === 1 ? 'day' : 'days'}`;
 }
 
 // -------------------------------
-// Local midnight is used as the base for sunrise arc calculations
+// Default card label for a zone: last path segment without underscores
 // -------------------------------
-function getLocalMidnight(date) {
-    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+function getZoneCityName(zone) {
+    return zone.split('/').pop().replace(/_/g, ' ');
 }
 
 // -------------------------------
-// Calculate sunrise and sunset time using a simplified solar position algorithm
-// Returns null at extreme latitudes where sunrise/sunset may not occur.
+// Create a small icon button used by the world time editor
 // -------------------------------
-function calcSunTimes(date, latitude, longitude) {
-    const rad = Math.PI / 180;
-    const day = Math.floor((Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) -
-        Date.UTC(date.getFullYear(), 0, 0)) / 86400000);
-
-    const lngHour = longitude / 15;
-    const zenith = 90.833;
+function createTimezoneAction(label, text, action, index, disabled) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'tz-action';
+    button.textContent = text;
+    button.setAttribute('aria-label', label);
+    button.dataset.action = action;
+    button.dataset.index = index;
+    button.disabled = disabled;
+    return button;
+}
 
-    function calcTime(isSunrise) {
-        const t = day + ((isSunrise ? 6 : 18) - lngHour) / 24;
-        const M = (0.9856 * t) - 3.289;
-        let L = M + (1.916 * Math.sin(M * rad)) + (0.02 * Math.sin(2 * M * rad)) + 282.634;
-        L = (L + 360) % 360;
-        let RA = Math.atan(0.91764 * Math.tan(L * rad)) / rad;
-        RA = (RA + 360) % 360;
-        const Lquadrant = Math.floor(L / 90) * 90;
-        const RAquadrant = Math.floor(RA / 90) * 90;
-        RA = (RA + (Lquadrant - RAquadrant)) / 15;
+// -------------------------------
+// Create the time zone cards
+// In edit mode each card also gets rename, reorder and remove controls.
+// -------------------------------
+function buildTimezonePanel() {
+    timezoneGrid.innerHTML = '';
+    timezonePanel.classList.toggle('editing', timezoneEditMode);
+    timezoneEdit.textContent = timezoneEditMode ? 'Done' : 'Edit';
+    timezoneEdit.setAttribute('aria-expanded', String(timezoneEditMode));
+    timezoneEditor.hidden = !timezoneEditMode;
 
-        const sinDec = 0.39782 * Math.sin(L * rad);
-        const cosDec = Math.cos(Math.asin(sinDec));
-        const cosH = (Math.cos(zenith * rad) - (sinDec * Math.sin(latitude * rad))) /
-            (cosDec * Math.cos(latitude * rad));
+    timezones.forEach((entry, index) => {
+        const card = document.createElement('div');
+        card.className = 'timezone-card';
 
-        if (cosH > 1 || cosH < -1) {
-            return null;
+        if (timezoneEditMode) {
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.className = 'tz-rename';
+            nameInput.value = entry.label;
+            nameInput.setAttribute('aria-label', `Rename ${entry.label}`);
+            nameInput.dataset.index = index;
+            card.appendChild(nameInput);
+        } else {
+            const city = document.createElement('div');
+            city.className = 'tz-city';
+            city.textContent = entry.label;
+            card.appendChild(city);
         }
 
-        const H = (isSunrise ? 360 - Math.acos(cosH) / rad : Math.acos(cosH) / rad) / 15;
-        const T = H + RA - (0.06571 * t) - 6.622;
-        let UT = (T - lngHour) % 24;
-        if (UT < 0) UT += 24;
-        return UT;
-    }
+        const time = document.createElement('div');
+        time.className = 'tz-time';
+        time.dataset.zone = entry.zone;
+        time.textContent = '00:00';
+        card.appendChild(time);
 
-    const sunriseUT = calcTime(true);
-    const sunsetUT = calcTime(false);
+        const meta = document.createElement('div');
+        meta.className = 'tz-meta';
+        meta.dataset.zone = entry.zone;
+        card.appendChild(meta);
 
-    if (sunriseUT === null || sunsetUT === null) {
-        return null;
-    }
+        if (timezoneEditMode) {
+            const actions = document.createElement('div');
+            actions.className = 'tz-actions';
+            actions.appendChild(createTimezoneAction(`Move ${entry.label} up`, '\u2191', 'up', index, index === 0));
+            actions.appendChild(createTimezoneAction(`Move ${entry.label} down`, '\u2193', 'down', index, index === timezones.length - 1));
+            actions.appendChild(createTimezoneAction(`Remove ${entry.label}`, '\u00d7', 'remove', index, false));
+            card.appendChild(actions);
+        }
 
-    const sunrise = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
-    sunrise.setUTCHours(Math.floor(sunriseUT));
-    sunrise.setUTCMinutes(Math.floor((sunriseUT % 1) * 60));
-    sunrise.setUTCSeconds(0);
+        timezoneGrid.appendChild(card);
+    });
 
-    const sunset = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
-    sunset.setUTCHours(Math.floor(sunsetUT));
-    sunset.setUTCMinutes(Math.floor((sunsetUT % 1) * 60));
-    sunset.setUTCSeconds(0);
+    if (timezones.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'tz-empty';
+        empty.textContent = 'No cities yet. Use Edit to add one.';
+        timezoneGrid.appendChild(empty);
+    }
 
-    return { sunrise, sunset };
+    const now = getNow();
+    updateTimezonePanel(now);
+    updateTimezoneMeta(now);
 }
 
 // -------------------------------
-// Update the sun arc and indicator based on sunrise/sunset times
+// Update each time zone card with the current time
 // -------------------------------
-function updateSunRing(now) {
-    if (!sunriseData) {
+function updateTimezonePanel(now) {
+    timezoneGrid.querySelectorAll('.tz-time').forEach(node => {
+        setText(node, getZoneTimeFormatter(node.getAttribute('data-zone')).format(now));
+    });
+}
+
+// -------------------------------
+// Cached time formatter per world time zone
+// Cleared by updateFormatters() when the locale or 12/24h setting changes.
+// -------------------------------
+const zoneTimeFormatters = new Map();
+
+function getZoneTimeFormatter(zone) {
+    let formatter = zoneTimeFormatters.get(zone);
+    if (!formatter) {
+        formatter = new Intl.DateTimeFormat(getLocale(), {
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            hour12: !settings.is24Hour,
+            timeZone: zone,
+            ...getLocaleOptions()
+        });
+        zoneTimeFormatters.set(zone, formatter);
+    }
+    return formatter;
+}
+
+// -------------------------------
+// Offset, day difference and DST flag under each time (changes per minute)
+// -------------------------------
+function updateTimezoneMeta(now) {
+    timezoneGrid.querySelectorAll('.tz-meta').forEach(node => {
+        const zone = node.getAttribute('data-zone');
+        const details = [
+            formatUtcOffset(getZoneOffsetMinutes(now, zone)),
+            formatDayDifference(getZoneDayDifference(now, zone))
+        ];
+        if (isZoneInDst(now, zone)) {
+            details.push('DST');
+        }
+        setText(node, details.join(' \u00b7 '));
+    });
+}
+
+// -------------------------------
+// Render picker matches for the search query
+// Accents and underscores are ignored so "sao paulo" finds America/Sao_Paulo.
+// -------------------------------
+function normalizeZoneQuery(text) {
+    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/_/g, ' ').toLowerCase();
+}
+
+function updateTimezoneResults() {
+    const query = normalizeZoneQuery(timezoneSearch.value.trim());
+    const added = new Set(timezones.map(entry => entry.zone));
+    timezoneResults.innerHTML = '';
+
+    if (!query) return;
+
+    const matches = availableTimezones
+        .filter(zone => !added.has(zone) && normalizeZoneQuery(zone).includes(query))
+        .slice(0, 8);
+
+    if (matches.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'tz-empty';
+        empty.textContent = 'No matching time zones';
+        timezoneResults.appendChild(empty);
+        return;
+    }
+
+    const now = new Date();
+    matches.forEach(zone => {
+        const option = document.createElement('button');
+        option.type = 'button';
+        option.className = 'tz-result';
+        option.dataset.zone = zone;
+        option.textContent = `${zone.replace(/_/g, ' ')} (${formatUtcOffset(getZoneOffsetMinutes(now, zone))})`;
+        timezoneResults.appendChild(option);
+    });
+}
+
+// -------------------------------
+// Fill the main timezone select with every IANA zone
+// Local and UTC stay as the first two static options.
+// -------------------------------
+function buildTimezoneOptions() {
+    timezoneSelect.querySelectorAll('optgroup').forEach(group => group.remove());
+    const zones = availableTimezones.slice();
+    if (!['local', 'utc'].includes(settings.timezone) && !zones.includes(settings.timezone)) {
+        // Keep aliases such as Asia/Kolkata selectable even if not canonical here
+        zones.push(settings.timezone);
+    }
+
+    const group = document.createElement('optgroup');
+    group.label = 'All Zones';
+    zones.forEach(zone => {
+        const option = document.createElement('option');
+        option.value = zone;
+        option.textContent = zone.replace(/_/g, ' ');
+        group.appendChild(option);
+    });
+    timezoneSelect.appendChild(group);
+    timezoneSelect.value = settings.timezone;
+}
+
+// -------------------------------
+// World time editor actions
+// -------------------------------
+function addTimezone(zone) {
+    if (!isValidTimeZone(zone)) return;
+    timezones.push({ label: getZoneCityName(zone), zone });
+    saveTimezones();
+    timezoneSearch.value = '';
+    updateTimezoneResults();
+    buildTimezonePanel();
+    buildPlanner();
+}
+
+function moveTimezone(index, direction) {
+    const target = index + direction;
+    if (target < 0 || target >= timezones.length) return;
+    const [entry] = timezones.splice(index, 1);
+    timezones.splice(target, 0, entry);
+    saveTimezones();
+    buildTimezonePanel();
+    buildPlanner();
+}
+
+function removeTimezone(index) {
+    timezones.splice(index, 1);
+    saveTimezones();
+    buildTimezonePanel();
+    buildPlanner();
+}
+
+function renameTimezone(index, label) {
+    const entry = timezones[index];
+    if (!entry) return;
+    entry.label = label.trim() || getZoneCityName(entry.zone);
+    saveTimezones();
+    buildPlanner();
+}
+
+function toggleTimezoneEditMode() {
+    timezoneEditMode = !timezoneEditMode;
+    if (!timezoneEditMode) {
+        timezoneSearch.value = '';
+        updateTimezoneResults();
+    }
+    buildTimezonePanel();
+    if (timezoneEditMode) {
+        timezoneSearch.focus();
+    }
+}
+
+// -------------------------------
+// Meeting planner
+// One column per hour of the chosen day in the clock's time zone. Columns
+// are instants stepped an hour at a time from that day's midnight, so DST
+// days get 23 or 25 columns and each zone's local time comes from its own
+// offset at that instant. Zones that change clocks on different weeks
+// (US and EU in March and October) shift against each other correctly.
+// -------------------------------
+const plannerNight = { start: '22:00', end: '07:00' };
+
+const plannerSlotLabels = {
+    work: 'working hours',
+    off: 'outside working hours',
+    night: 'night',
+    weekend: 'weekend'
+};
+
+function getPlannerDateKey() {
+    return plannerDateKey || getDateKey(getClockDate(getNow()));
+}
+
+function shiftPlannerDate(days) {
+    const [year, month, day] = getPlannerDateKey().split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day + days));
+    plannerDateKey = getDateKey({ year: date.getUTCFullYear(), month: date.getUTCMonth(), day: date.getUTCDate() });
+    buildPlanner();
+}
+
+// Hour slots of the planner day in the clock's zone
+function getPlannerSlots(dateKey) {
+    const zone = getTimeZoneOption();
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const start = getZonedInstant(year, month - 1, day, 0, 0, zone).getTime();
+    const end = getZonedInstant(year, month - 1, day + 1, 0, 0, zone).getTime();
+    const slots = [];
+    for (let time = start; time < end; time += 3600000) {
+        slots.push(new Date(time));
+    }
+    return slots;
+}
+
+// The clock's own zone first, then the world time list
+function getPlannerZones() {
+    const clockZone = getTimeZoneOption() || Intl.DateTimeFormat().resolvedOptions().timeZone;
+    return [
+        { label: `${getZoneCityName(clockZone)} (clock)`, zone: clockZone },
+        ...timezones
+    ];
+}
+
+// Weekend days from the locale's week data, Saturday and Sunday otherwise
+function getWeekendDays() {
+    try {
+        const locale = new Intl.Locale(getLocale());
+        const info = typeof locale.getWeekInfo === 'function' ? locale.getWeekInfo() : locale.weekInfo;
+        if (info && info.weekend) return info.weekend.map(day => day % 7);
+    } catch (error) {
+        // Older engines without Intl.Locale
+    }
+    return [6, 0];
+}
+
+// 'work', 'weekend', 'night' or 'off' for an instant in a zone's local time
+function getPlannerSlotType(date, zone, weekendDays) {
+    const parts = getZoneParts(date, zone);
+    const weekday = new Date(Date.UTC(parts.year, parts.month, parts.day)).getUTCDay();
+    const minuteOfDay = parts.hours * 60 + parts.minutes;
+    if (weekendDays.includes(weekday)) return 'weekend';
+    if (isTimeInRange(minuteOfDay, settings.workStart, settings.workEnd)) return 'work';
+    if (isTimeInRange(minuteOfDay, plannerNight.start, plannerNight.end)) return 'night';
+    return 'off';
+}
+
+function buildPlanner() {
+    const dateKey = getPlannerDateKey();
+    plannerDate.value = dateKey;
+    const slots = getPlannerSlots(dateKey);
+    const zones = getPlannerZones();
+    const weekendDays = getWeekendDays();
+    const locale = getLocale();
+    const localeOptions = getLocaleOptions();
+
+    // Columns where every zone is inside working hours
+    const types = zones.map(entry => slots.map(slot => getPlannerSlotType(slot, entry.zone, weekendDays)));
+    const overlap = slots.map((slot, column) => types.every(row => row[column] === 'work'));
+
+    plannerGrid.innerHTML = '';
+    const caption = document.createElement('caption');
+    caption.className = 'sr-only';
+    caption.textContent = `Meeting planner for ${dateKey}. Select an hour to copy it in every zone.`;
+    plannerGrid.appendChild(caption);
+
+    zones.forEach((entry, row) => {
+        // Half-hour and 45-minute zones show minutes on every cell
+        const showMinutes = getZoneOffsetMinutes(slots[0], entry.zone) % 60 !== 0;
+        const hourFormatter = new Intl.DateTimeFormat(locale, {
+            hour: 'numeric',
+            minute: showMinutes ? '2-digit' : undefined,
+            hour12: !settings.is24Hour,
+            timeZone: entry.zone,
+            ...localeOptions
+        });
+        const dayFormatter = new Intl.DateTimeFormat(locale, { weekday: 'short', timeZone: entry.zone, ...localeOptions });
+        const labelFormatter = new Intl.DateTimeFormat(locale, {
+            weekday: 'long',
+            hour: 'numeric',
+            minute: '2-digit',
+            hour12: !settings.is24Hour,
+            timeZone: entry.zone,
+            ...localeOptions
+        });
+
+        const tr = document.createElement('tr');
+        const header = document.createElement('th');
+        header.scope = 'row';
+        header.className = 'planner-zone';
+        header.textContent = entry.label;
+        const offset = document.createElement('span');
+        offset.className = 'planner-offset';
+        offset.textContent = formatUtcOffset(getZoneOffsetMinutes(slots[0], entry.zone));
+        header.appendChild(offset);
+        tr.appendChild(header);
+
+        let previousDay = null;
+        slots.forEach((slot, column) => {
+            // The clock's row holds the focusable buttons; other rows are clickable cells
+            const cell = document.createElement(row === 0 ? 'th' : 'td');
+            const target = row === 0 ? document.createElement('button') : cell;
+            const type = types[row][column];
+            cell.className = `planner-cell ${type}`;
+            cell.classList.toggle('overlap', overlap[column]);
+            target.dataset.time = slot.getTime();
+
+            // Mark where the local date changes along the row
+            const day = getZoneParts(slot, entry.zone).day;
+            if (day !== previousDay) {
+                const dayLabel = document.createElement('span');
+                dayLabel.className = 'planner-day';
+                dayLabel.textContent = dayFormatter.format(slot);
+                target.appendChild(dayLabel);
+                cell.classList.toggle('day-start', previousDay !== null);
+                previousDay = day;
+            }
+            target.appendChild(document.createTextNode(hourFormatter.format(slot)));
+
+            const label = `${entry.label}, ${labelFormatter.format(slot)}, ${plannerSlotLabels[type]}${overlap[column] ? ', everyone working' : ''}`;
+            if (row === 0) {
+                cell.scope = 'col';
+                target.type = 'button';
+                target.className = 'planner-slot';
+                target.setAttribute('aria-label', label);
+                cell.appendChild(target);
+            } else {
+                cell.title = label;
+            }
+            tr.appendChild(cell);
+        });
+
+        if (row === 0) {
+            const thead = document.createElement('thead');
+            thead.appendChild(tr);
+            plannerGrid.appendChild(thead);
+        } else {
+            if (!plannerGrid.tBodies.length) {
+                plannerGrid.appendChild(document.createElement('tbody'));
+            }
+            plannerGrid.tBodies[0].appendChild(tr);
+        }
+    });
+}
+
+// Text for one slot in every planner zone, ready to paste into an invite
+function buildPlannerSummary(date) {
+    const lines = getPlannerZones().map(entry => {
+        const formatter = new Intl.DateTimeFormat(getLocale(), {
+            weekday: 'short',
+            month: 'short',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit',
+            hour12: !settings.is24Hour,
+            timeZone: entry.zone,
+            ...getLocaleOptions()
+        });
+        return `${entry.label}: ${formatter.format(date)} (${formatUtcOffset(getZoneOffsetMinutes(date, entry.zone))})`;
+    });
+    return [`Meeting time (${date.toISOString().slice(0, 16).replace('T', ' ')} UTC)`, ...lines].join('\n');
+}
+
+function copyPlannerSlot(time) {
+    const summary = buildPlannerSummary(new Date(time));
+    const done = () => {
+        plannerStatus.textContent = `Copied ${summary.split('\n').length - 1} zone times`;
+    };
+    if (navigator.clipboard) {
+        navigator.clipboard.writeText(summary).then(done, () => window.prompt('Meeting time', summary));
+    } else {
+        window.prompt('Meeting time', summary);
+    }
+}
+
+// -------------------------------
+// Dashboard: a grid of full analog clocks for wall displays
+// Each entry: { label, zone, dialStyle, sunRing }. Every card is a clock
+// face (see createClockFace) drawn by the main animation loop. Sun rings
+// use the built-in city matching the label or zone, otherwise the main
+// clock's location.
+// -------------------------------
+function loadDashboardClocks() {
+    try {
+        const stored = JSON.parse(localStorage.getItem('modernClockDashboard') || 'null');
+        if (Array.isArray(stored)) {
+            return stored
+                .filter(entry => entry && settingChecks.zone(entry.zone))
+                .map(entry => ({
+                    label: String(entry.label || entry.zone),
+                    zone: entry.zone,
+                    dialStyle: Object.hasOwn(dialStyles, entry.dialStyle) ? entry.dialStyle : 'classic',
+                    sunRing: entry.sunRing !== false
+                }));
+        }
+    } catch (error) {
+        // Corrupt storage falls through to the defaults
+    }
+    // Start with local time plus the world time cities
+    return [{ label: 'Local', zone: 'local' }, ...timezones].map(entry => ({
+        label: entry.label,
+        zone: entry.zone,
+        dialStyle: 'classic',
+        sunRing: true
+    }));
+}
+
+function saveDashboardClocks() {
+    localStorage.setItem('modernClockDashboard', JSON.stringify(dashboardClocks));
+}
+
+const dashboardClocks = loadDashboardClocks();
+
+function buildDashboardOptions() {
+    dashboardZone.innerHTML = timezoneSelect.innerHTML;
+    dashboardZone.value = 'local';
+    dashboardDial.innerHTML = dialStyleSelect.innerHTML;
+    dashboardDial.value = 'classic';
+    dashboardColumnsSelect.value = settings.dashboardColumns;
+}
+
+function buildDashboard() {
+    document.body.classList.toggle('dashboard-mode', settings.dashboard);
+    dashboard.hidden = !settings.dashboard;
+    dashboard.classList.toggle('editing', dashboardEditMode);
+    dashboardEdit.textContent = dashboardEditMode ? 'Done' : 'Edit';
+    dashboardEdit.setAttribute('aria-expanded', String(dashboardEditMode));
+    dashboardEditor.hidden = !dashboardEditMode;
+    dashboardToggle.textContent = settings.dashboard ? 'Exit Dashboard' : 'Dashboard';
+    dashboardGrid.style.gridTemplateColumns = settings.dashboardColumns === 'auto'
+        ? 'repeat(auto-fit, minmax(min(240px, 100%), 1fr))'
+        : `repeat(${settings.dashboardColumns}, minmax(0, 1fr))`;
+
+    dashboardGrid.innerHTML = '';
+    dashboardFaces = [];
+    if (!settings.dashboard) return;
+
+    dashboardClocks.forEach((entry, index) => {
+        const card = document.createElement('div');
+        card.className = 'dashboard-card';
+        const element = clockFaceTemplate.content.firstElementChild.cloneNode(true);
+        card.appendChild(element);
+
+        if (dashboardEditMode) {
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.className = 'tz-rename dashboard-rename';
+            nameInput.value = entry.label;
+            nameInput.setAttribute('aria-label', `Rename ${entry.label}`);
+            nameInput.dataset.index = index;
+            card.appendChild(nameInput);
+        } else {
+            const label = document.createElement('div');
+            label.className = 'tz-city';
+            label.textContent = entry.label;
+            card.appendChild(label);
+        }
+
+        const time = document.createElement('div');
+        time.className = 'tz-time';
+        card.appendChild(time);
+
+        if (dashboardEditMode) {
+            const options = document.createElement('div');
+            options.className = 'dashboard-options';
+            const dial = document.createElement('select');
+            dial.className = 'dashboard-dial';
+            dial.innerHTML = dialStyleSelect.innerHTML;
+            dial.value = entry.dialStyle;
+            dial.dataset.index = index;
+            dial.setAttribute('aria-label', `${entry.label} dial`);
+            const sun = document.createElement('input');
+            sun.type = 'checkbox';
+            sun.className = 'dashboard-sun';
+            sun.checked = entry.sunRing;
+            sun.dataset.index = index;
+            sun.setAttribute('aria-label', `${entry.label} sun ring`);
+            options.append(dial, sun);
+
+            // Same reorder/remove buttons as the world time editor
+            options.appendChild(createTimezoneAction(`Move ${entry.label} earlier`, '\u2190', 'up', index, index === 0));
+            options.appendChild(createTimezoneAction(`Move ${entry.label} later`, '\u2192', 'down', index, index === dashboardClocks.length - 1));
+            options.appendChild(createTimezoneAction(`Remove ${entry.label}`, '\u00d7', 'remove', index, false));
+            card.appendChild(options);
+        }
+
+        dashboardGrid.appendChild(card);
+        const face = createClockFace(element, entry);
+        face.entry = entry;
+        face.time = time;
+        dashboardFaces.push(face);
+    });
+
+    if (dashboardClocks.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'tz-empty';
+        empty.textContent = 'No clocks yet. Use Edit to add one.';
+        dashboardGrid.appendChild(empty);
+    }
+
+    // Markers are sized from the rendered faces, so build them once in the page
+    buildDashboardMarkers();
+}
+
+function buildDashboardMarkers() {
+    const now = getNow();
+    dashboardFaces.forEach(buildFaceMarkers);
+    updateDashboard(now);
+    updateDashboardSecond(now);
+    updateDashboardMinute(now);
+}
+
+// Every frame: hands and seconds rings. Zone offsets are read once a
+// minute so the frame itself is plain arithmetic.
+function updateDashboard(now) {
+    const minute = Math.floor(now.getTime() / 60000);
+    dashboardFaces.forEach(face => {
+        if (face.offsetMinute !== minute) {
+            face.offset = getZoneOffsetMinutes(now, resolveTimeZone(face.zone));
+            face.offsetMinute = minute;
+        }
+        const local = new Date(now.getTime() + face.offset * 60000);
+        const hours = local.getUTCHours();
+        const minutes = local.getUTCMinutes();
+        const seconds = local.getUTCSeconds();
+        const milliseconds = local.getUTCMilliseconds();
+        if (settings.smoothSecond) {
+            setFaceHands(face, hours + minutes / 60, minutes + seconds / 60, seconds + milliseconds / 1000);
+        } else {
+            setFaceHands(face, hours, minutes, seconds);
+        }
+        updateSecondsRing(face, seconds, milliseconds);
+    });
+}
+
+function updateDashboardSecond(now) {
+    dashboardFaces.forEach(face => {
+        const text = getZoneTimeFormatter(resolveTimeZone(face.zone)).format(now);
+        setText(face.time, text);
+        setAttribute(face.element, 'aria-label', `${face.entry.label}, ${text}`);
+    });
+}
+
+function updateDashboardMinute(now) {
+    dashboardFaces.filter(face => face.showSun).forEach(face => {
+        const zoneCity = ['local', 'utc'].includes(face.zone) ? null : getZoneCityName(face.zone);
+        const location = cities.find(city => city.name === face.entry.label || city.name === zoneCity) || sunLocation;
+        const today = getZoneParts(now, resolveTimeZone(face.zone));
+        const key = location ? `${getDateKey(today)}|${location.latitude},${location.longitude}` : '';
+        if (face.sunKey !== key) {
+            face.sunKey = key;
+            face.sunData = location
+                ? calcSunTimes(new Date(Date.UTC(today.year, today.month, today.day)), location.latitude, location.longitude)
+                : null;
+        }
+        drawSunRing(face, now, face.sunData);
+    });
+}
+
+function setDashboardMode(enabled) {
+    settings.dashboard = enabled;
+    if (!enabled) dashboardEditMode = false;
+    saveSettings();
+    buildDashboard();
+    // The main clock was hidden, so its markers need its real size again
+    if (!enabled) buildMarkers();
+
+    if (document.activeElement === dashboardToggle || document.activeElement === dashboardExit) {
+        (enabled ? dashboardExit : dashboardToggle).focus();
+    }
+}
+
+function toggleDashboardEditMode() {
+    dashboardEditMode = !dashboardEditMode;
+    buildDashboard();
+    dashboardEdit.focus();
+}
+
+function addDashboardClock(event) {
+    event.preventDefault();
+    const zone = dashboardZone.value;
+    const fallback = zone === 'local' ? 'Local' : zone === 'utc' ? 'UTC' : getZoneCityName(zone);
+    dashboardClocks.push({
+        label: dashboardLabel.value.trim() || fallback,
+        zone,
+        dialStyle: dashboardDial.value,
+        sunRing: dashboardSun.checked
+    });
+    dashboardLabel.value = '';
+    saveDashboardClocks();
+    buildDashboard();
+}
+
+function updateDashboardClock(index, changes) {
+    const entry = dashboardClocks[index];
+    if (!entry) return;
+    Object.assign(entry, changes);
+    saveDashboardClocks();
+    buildDashboard();
+}
+
+function moveDashboardClock(index, direction) {
+    const target = index + direction;
+    if (target < 0 || target >= dashboardClocks.length) return;
+    const [entry] = dashboardClocks.splice(index, 1);
+    dashboardClocks.splice(target, 0, entry);
+    saveDashboardClocks();
+    buildDashboard();
+}
+
+function removeDashboardClock(index) {
+    dashboardClocks.splice(index, 1);
+    saveDashboardClocks();
+    buildDashboard();
+}
+
+function handleDashboardColumnsChange() {
+    settings.dashboardColumns = dashboardColumnsSelect.value === 'auto' ? 'auto' : Number(dashboardColumnsSelect.value);
+    saveSettings();
+    buildDashboard();
+}
+
+// -------------------------------
+// Apply the selected theme class to <body>
+// -------------------------------
+function setTheme(themeId) {
+    const custom = customThemes.find(theme => theme.id === themeId);
+    const base = custom ? 'aurora' : builtInThemes.includes(themeId) ? themeId : 'aurora';
+
+    document.body.classList.remove(...builtInThemes.map(name => `theme-${name}`));
+    document.body.classList.add(`theme-${base}`);
+    setThemeVariables(custom ? custom.colors : null);
+    activeThemeId = custom ? themeId : base;
+}
+
+// -------------------------------
+// Theme colors
+// Built-in themes are CSS classes; custom themes set the same custom
+// properties inline on body. Colors are stored as #rrggbb or #rrggbbaa.
+// -------------------------------
+const builtInThemes = ['aurora', 'desert', 'steel'];
+
+const themeProperties = [
+    { key: 'bgDeep', variable: '--bg-deep', label: 'Background' },
+    { key: 'bgGlow', variable: '--bg-glow', label: 'Glow', fallback: '#102537' },
+    { key: 'glass', variable: '--glass', label: 'Face', alpha: true },
+    { key: 'ink', variable: '--ink', label: 'Text' },
+    { key: 'accent', variable: '--accent', label: 'Accent' },
+    { key: 'accentSoft', variable: '--accent-soft', label: 'Accent Soft', alpha: true },
+    { key: 'ringFill', variable: '--ring-fill', label: 'Ring Fill', alpha: true },
+    { key: 'ringTrack', variable: '--ring-track', label: 'Ring Track', alpha: true },
+    { key: 'handHour', variable: '--hand-hour', label: 'Hour Hand', alpha: true, fallback: '#f5f7fbe6' },
+    { key: 'handMinute', variable: '--hand-minute', label: 'Minute Hand', alpha: true, fallback: '#f5f7fbf2' },
+    { key: 'handSecond', variable: '--hand-second', label: 'Second Hand', alpha: true, fallback: 'accent' }
+];
+
+function loadCustomThemes() {
+    try {
+        const stored = JSON.parse(localStorage.getItem('modernClockThemes') || '[]');
+        if (Array.isArray(stored)) {
+            const themes = [];
+            const renamed = {};
+            stored.forEach(entry => {
+                const theme = normalizeTheme(entry);
+                if (!theme) return;
+                if (theme.id !== entry.id) renamed[entry.id] = theme.id;
+                themes.push(theme);
+            });
+            if (Object.keys(renamed).length) {
+                storeRenamedThemes(themes, renamed);
+            }
+            return themes;
+        }
+    } catch (error) {
+        // Corrupt storage starts with no custom themes
+    }
+    return [];
+}
+
+// Themes whose stored id wasn't a custom- id got a new one: store it right
+// away, and point the theme settings at it, or every load would pick
+// another id and lose the selection
+function storeRenamedThemes(themes, renamed) {
+    localStorage.setItem('modernClockThemes', JSON.stringify(themes));
+    let moved = false;
+    ['theme', 'themeDay', 'themeNight'].forEach(key => {
+        [settings, storedSettings].forEach(source => {
+            if (typeof source[key] === 'string' && Object.hasOwn(renamed, source[key])) {
+                source[key] = renamed[source[key]];
+                moved = true;
+            }
+        });
+    });
+    if (moved) {
+        localStorage.setItem('modernClockSettings', JSON.stringify({ version: settingsVersion, ...getPersistedSettings() }));
+    }
+}
+
+function saveCustomThemes() {
+    localStorage.setItem('modernClockThemes', JSON.stringify(customThemes));
+}
+
+// -------------------------------
+// Validate a theme from storage or an imported file
+// Missing or malformed colors come from the Aurora defaults.
+// -------------------------------
+function normalizeTheme(theme) {
+    if (!theme || typeof theme !== 'object' || !theme.colors || typeof theme.colors !== 'object') return null;
+    const colors = {};
+    themeProperties.forEach(property => {
+        const value = theme.colors[property.key];
+        colors[property.key] = typeof value === 'string' && /^#[0-9a-f]{6}([0-9a-f]{2})?$/i.test(value)
+            ? value.toLowerCase()
+            : defaultThemeColors[property.key];
+    });
+    return {
+        id: typeof theme.id === 'string' && theme.id.startsWith('custom-') ? theme.id : createThemeId(),
+        name: String(theme.name || 'Custom').slice(0, 40),
+        colors
+    };
+}
+
+function createThemeId() {
+    return `custom-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+const defaultThemeColors = {
+    bgDeep: '#070b0f',
+    bgGlow: '#102537',
+    glass: '#10171fb8',
+    ink: '#f5f7fb',
+    accent: '#f59e0b',
+    accentSoft: '#f59e0b2e',
+    ringFill: '#f59e0b99',
+    ringTrack: '#f5f7fb14',
+    handHour: '#f5f7fbe6',
+    handMinute: '#f5f7fbf2',
+    handSecond: '#f59e0b'
+};
+
+const customThemes = loadCustomThemes();
+
+// -------------------------------
+// Convert an authored CSS color (#hex, rgb() or rgba()) to #rrggbb[aa]
+// Returns null for anything else, such as var() or color-mix().
+// -------------------------------
+function cssColorToHex(value) {
+    const toHex = number => Math.round(Math.min(255, Math.max(0, number))).toString(16).padStart(2, '0');
+    const hex = value.trim().match(/^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i);
+    if (hex) {
+        const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+        return `#${digits.toLowerCase()}`;
+    }
+    const rgb = value.trim().match(/^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/i);
+    if (rgb) {
+        const alpha = rgb[4] === undefined ? 1 : Number(rgb[4]);
+        return `#${toHex(rgb[1])}${toHex(rgb[2])}${toHex(rgb[3])}${alpha < 1 ? toHex(alpha * 255) : ''}`;
+    }
+    return null;
+}
+
+// -------------------------------
+// Set or clear the inline custom properties for a theme
+// -------------------------------
+function setThemeVariables(colors) {
+    themeProperties.forEach(property => {
+        if (colors) {
+            document.body.style.setProperty(property.variable, colors[property.key]);
+        } else {
+            document.body.style.removeProperty(property.variable);
+        }
+    });
+}
+
+// -------------------------------
+// Colors of the applied theme, read back from the page for built-in themes
+// -------------------------------
+function getActiveThemeColors() {
+    const custom = customThemes.find(theme => theme.id === activeThemeId);
+    if (custom) return { ...custom.colors };
+
+    const computed = getComputedStyle(document.body);
+    const colors = {};
+    themeProperties.forEach(property => {
+        colors[property.key] = cssColorToHex(computed.getPropertyValue(property.variable)) || defaultThemeColors[property.key];
+    });
+    colors.bgGlow = cssColorToHex(computed.getPropertyValue('--bg-glow')) || '#102537';
+    if (!cssColorToHex(computed.getPropertyValue('--hand-second'))) colors.handSecond = colors.accent;
+    return colors;
+}
+
+// -------------------------------
+// Theme pickers: built-ins are static options, custom themes are appended
+// -------------------------------
+function buildThemeOptions() {
+    [themeSelect, themeDay, themeNight].forEach(select => {
+        select.querySelector('optgroup')?.remove();
+        if (customThemes.length) {
+            const group = document.createElement('optgroup');
+            group.label = 'Custom';
+            customThemes.forEach(theme => {
+                const option = document.createElement('option');
+                option.value = theme.id;
+                option.textContent = theme.name;
+                group.appendChild(option);
+            });
+            select.appendChild(group);
+        }
+    });
+
+    // A deleted custom theme falls back to the schema default
+    const known = id => builtInThemes.includes(id) || customThemes.some(theme => theme.id === id);
+    ['theme', 'themeDay', 'themeNight'].forEach(key => {
+        if (!known(settings[key])) settings[key] = settingsSchema[key].default;
+    });
+    themeSelect.value = settings.theme;
+    themeDay.value = settings.themeDay;
+    themeNight.value = settings.themeNight;
+}
+
+// -------------------------------
+// Which theme should be showing right now
+// -------------------------------
+function isSunUp(now, sunData) {
+    if (sunData.state !== 'normal') return sunData.state === 'always-up';
+    const { sunrise, sunset } = sunData;
+    // A sunset before sunrise means the day wraps past midnight
+    return sunrise < sunset ? now >= sunrise && now < sunset : now >= sunrise || now < sunset;
+}
+
+function isDaytime(now) {
+    if (settings.themeMode === 'system') {
+        return window.matchMedia('(prefers-color-scheme: light)').matches;
+    }
+    if (settings.themeMode === 'sun' && sunriseData) {
+        return isSunUp(now, sunriseData);
+    }
+    const { hours, minutes } = getZoneParts(now, getTimeZoneOption());
+    return isTimeInRange(hours * 60 + minutes, settings.themeDayStart, settings.themeNightStart);
+}
+
+function getScheduledTheme(now) {
+    if (settings.themeMode === 'fixed') return settings.theme;
+    return isDaytime(now) ? settings.themeDay : settings.themeNight;
+}
+
+// -------------------------------
+// Apply the scheduled theme when it changes
+// Skipped while the editor is previewing so edits aren't thrown away.
+// -------------------------------
+function applyThemeMode(now) {
+    const themeId = getScheduledTheme(now);
+    if (themeId !== activeThemeId && !themePreviewing) {
+        setTheme(themeId);
+        loadThemeEditor();
+    }
+}
+
+function updateThemeControls() {
+    themeSelect.disabled = settings.themeMode !== 'fixed';
+    themeScheduleStart.hidden = settings.themeMode !== 'schedule';
+    themeScheduleEnd.hidden = settings.themeMode !== 'schedule';
+}
+
+// -------------------------------
+// Editor: one color input per property, alpha slider for translucent ones
+// -------------------------------
+function buildThemeEditor() {
+    themeColors.innerHTML = '';
+    themeProperties.forEach(property => {
+        const label = document.createElement('label');
+        label.className = 'theme-color';
+        const color = document.createElement('input');
+        color.type = 'color';
+        color.dataset.key = property.key;
+        color.setAttribute('aria-label', property.label);
+        label.append(color, property.label);
+        if (property.alpha) {
+            const alpha = document.createElement('input');
+            alpha.type = 'range';
+            alpha.className = 'range-input';
+            alpha.min = '0';
+            alpha.max = '100';
+            alpha.dataset.alpha = property.key;
+            alpha.setAttribute('aria-label', `${property.label} opacity`);
+            label.appendChild(alpha);
+        }
+        themeColors.appendChild(label);
+    });
+}
+
+// Fill the editor from the applied theme and drop any unsaved preview
+function loadThemeEditor() {
+    const colors = getActiveThemeColors();
+    themeProperties.forEach(property => {
+        const value = colors[property.key];
+        themeColors.querySelector(`[data-key="${property.key}"]`).value = value.slice(0, 7);
+        const alpha = themeColors.querySelector(`[data-alpha="${property.key}"]`);
+        if (alpha) {
+            alpha.value = value.length === 9 ? Math.round((parseInt(value.slice(7), 16) / 255) * 100) : 100;
+        }
+    });
+
+    const custom = customThemes.find(theme => theme.id === activeThemeId);
+    themeName.value = custom ? custom.name : `${activeThemeId.charAt(0).toUpperCase()}${activeThemeId.slice(1)} Copy`;
+    themeDelete.disabled = !custom;
+    themePreviewing = false;
+}
+
+function readThemeEditor() {
+    const colors = {};
+    themeProperties.forEach(property => {
+        let value = themeColors.querySelector(`[data-key="${property.key}"]`).value.toLowerCase();
+        const alpha = themeColors.querySelector(`[data-alpha="${property.key}"]`);
+        if (alpha && Number(alpha.value) < 100) {
+            value += Math.round((Number(alpha.value) / 100) * 255).toString(16).padStart(2, '0');
+        }
+        colors[property.key] = value;
+    });
+    return colors;
+}
+
+// Live preview of the editor colors without saving
+function previewTheme() {
+    themePreviewing = true;
+    setThemeVariables(readThemeEditor());
+}
+
+// Theme pickers drop any unsaved preview before switching
+function handleThemeChange() {
+    themePreviewing = false;
+    activeThemeId = '';
+    handleSettingsChange();
+}
+
+function revertTheme() {
+    themePreviewing = false;
+    setTheme(activeThemeId);
+    loadThemeEditor();
+}
+
+// -------------------------------
+// Save the editor colors, over the applied custom theme or as a new one
+// The saved theme becomes the fixed theme.
+// -------------------------------
+function saveTheme(asNew) {
+    const existing = asNew ? null : customThemes.find(theme => theme.id === activeThemeId);
+    const name = themeName.value.trim() || 'Custom';
+    if (existing) {
+        existing.name = name;
+        existing.colors = readThemeEditor();
+    } else {
+        customThemes.push({ id: createThemeId(), name, colors: readThemeEditor() });
+    }
+    saveCustomThemes();
+    settings.theme = existing ? existing.id : customThemes[customThemes.length - 1].id;
+    saveSettings();
+    buildThemeOptions();
+    themePreviewing = false;
+    setTheme(settings.theme);
+    loadThemeEditor();
+    applyThemeMode(getNow());
+}
+
+function deleteTheme() {
+    const index = customThemes.findIndex(theme => theme.id === activeThemeId);
+    if (index === -1) return;
+    customThemes.splice(index, 1);
+    saveCustomThemes();
+    buildThemeOptions();
+    saveSettings();
+    themePreviewing = false;
+    activeThemeId = '';
+    applyThemeMode(getNow());
+}
+
+// -------------------------------
+// Share themes as JSON files: { name, colors }
+// Import accepts a single theme or an array of them.
+// -------------------------------
+function exportTheme() {
+    const theme = { name: themeName.value.trim() || 'Custom', colors: readThemeEditor() };
+    const fileName = `${theme.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'theme'}.json`;
+    downloadFile(JSON.stringify(theme, null, 2), 'application/json', fileName);
+}
+
+function importThemes(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        return 0;
+    }
+    const imported = (Array.isArray(data) ? data : [data])
+        .map(theme => normalizeTheme({ ...theme, id: null }))
+        .filter(Boolean);
+    if (imported.length === 0) return 0;
+
+    customThemes.push(...imported);
+    saveCustomThemes();
+    settings.theme = imported[imported.length - 1].id;
+    saveSettings();
+    buildThemeOptions();
+    themePreviewing = false;
+    activeThemeId = '';
+    applyThemeMode(getNow());
+    return imported.length;
+}
+
+function handleThemeFile() {
+    const file = themeFile.files[0];
+    if (!file) return;
+    file.text()
+        .then(text => {
+            const count = importThemes(text);
+            return count ? `Imported ${count}` : 'Invalid file';
+        })
+        .catch(() => 'Unreadable file')
+        .then(label => {
+            themeImport.textContent = label;
+            setTimeout(() => {
+                themeImport.textContent = 'Import';
+            }, 2000);
+        });
+    themeFile.value = '';
+}
+
+// -------------------------------
+// Persist settings in localStorage for next load
+// -------------------------------
+function getPersistedSettings() {
+    // Keys set from the URL keep whatever was stored before
+    const persisted = { ...settings };
+    Object.keys(urlOptions.overrides).forEach(key => {
+        if (key in storedSettings) {
+            persisted[key] = storedSettings[key];
+        } else {
+            delete persisted[key];
+        }
+    });
+    return persisted;
+}
+
+function saveSettings() {
+    localStorage.setItem('modernClockSettings', JSON.stringify({ version: settingsVersion, ...getPersistedSettings() }));
+    emitSettingsChange();
+}
+
+// -------------------------------
+// Apply the URL layout options: widget mode, transparent background and
+// the visible panels. Panel rows with nothing left in them are hidden too.
+// -------------------------------
+function applyEmbedLayout() {
+    document.body.classList.toggle('widget', urlOptions.widget);
+    document.body.classList.toggle('transparent', urlOptions.transparent);
+    if (urlOptions.panels) {
+        showPanels(urlOptions.panels);
+    }
+}
+
+// Show only the named panels (keys of embedPanels), or all of them for null
+function showPanels(panels) {
+    Object.keys(embedPanels).forEach(name => {
+        document.querySelectorAll(embedPanels[name]).forEach(element => {
+            element.classList.toggle('embed-hidden', Boolean(panels) && !panels.includes(name));
+        });
+    });
+    document.querySelectorAll('.panel-row').forEach(row => {
+        row.classList.toggle('embed-hidden', Array.from(row.children).every(child => child.classList.contains('embed-hidden')));
+    });
+}
+
+// Keys of embedPanels with at least one element on show
+function getVisiblePanels() {
+    return Object.keys(embedPanels).filter(name => {
+        return Array.from(document.querySelectorAll(embedPanels[name])).some(element => !element.classList.contains('embed-hidden'));
+    });
+}
+
+// -------------------------------
+// Link that reproduces the current clock as a compact widget
+// Custom themes only exist in this browser, so only built-in themes are linked.
+// When panels are hidden (URL options or setPanels) the link keeps the same
+// ones; the full page links the widget's default digital readout.
+// -------------------------------
+function buildEmbedUrl() {
+    const params = new URLSearchParams();
+    params.set('zone', settings.timezone);
+    params.set('format', settings.is24Hour ? '24' : '12');
+    if (builtInThemes.includes(activeThemeId)) {
+        params.set('theme', activeThemeId);
+    }
+    params.set('face', settings.dialStyle);
+    const panels = getVisiblePanels();
+    if (panels.length < Object.keys(embedPanels).length) {
+        params.set('panels', panels.length ? panels.join(',') : 'none');
+    }
+    if (urlOptions.transparent) {
+        params.set('bg', 'transparent');
+    }
+    params.set('widget', '1');
+    return `${window.location.href.split(/[?#]/)[0]}?${params}`;
+}
+
+function copyEmbedLink() {
+    const url = buildEmbedUrl();
+    const done = () => {
+        embedCopy.textContent = 'Copied';
+        setTimeout(() => {
+            embedCopy.textContent = 'Copy Embed Link';
+        }, 2000);
+    };
+    if (navigator.clipboard) {
+        navigator.clipboard.writeText(url).then(done, () => window.prompt('Embed link', url));
+    } else {
+        window.prompt('Embed link', url);
+    }
+}
+
+// -------------------------------
+// Settings backup: one JSON file with the settings and every stored list
+// Importing writes each section back to localStorage and reloads; the
+// loaders (loadTimezones, loadAlarms, loadEvents, ...) drop entries that
+// fail their checks, exactly as for stored data. Reset removes it all.
+// -------------------------------
+const backupSections = {
+    timezones: 'modernClockTimezones',
+    alarms: 'modernClockAlarms',
+    events: 'modernClockEvents',
+    themes: 'modernClockThemes',
+    focusHistory: 'modernClockFocusHistory',
+    dashboard: 'modernClockDashboard'
+};
+
+function exportSettings() {
+    const backup = createBackup(getPersistedSettings(), {
+        timezones,
+        alarms,
+        events: calendarEvents,
+        themes: customThemes,
+        focusHistory: focusHistoryData,
+        dashboard: dashboardClocks
+    }, new Date());
+    downloadFile(JSON.stringify(backup, null, 2), 'application/json', 'modern-clock-settings.json');
+}
+
+function importSettings(text) {
+    const backup = parseBackup(text);
+    if (!backup) return false;
+
+    const { values } = validateSettings(backup.settings, settingChecks);
+    localStorage.setItem('modernClockSettings', JSON.stringify({ version: settingsVersion, ...values }));
+    Object.keys(backupSections).forEach(name => {
+        if (backup.sections[name] !== undefined) {
+            localStorage.setItem(backupSections[name], JSON.stringify(backup.sections[name]));
+        }
+    });
+    return true;
+}
+
+function handleSettingsFile() {
+    const file = settingsFile.files[0];
+    if (!file) return;
+    const showResult = label => {
+        settingsImport.textContent = label;
+        setTimeout(() => {
+            settingsImport.textContent = 'Import Settings';
+        }, 2000);
+    };
+    file.text().then(text => {
+        if (!window.confirm('Replace all settings, world times, alarms, events and themes with this backup?')) return;
+        if (importSettings(text)) {
+            window.location.reload();
+            return;
+        }
+        showResult('Invalid file');
+    }).catch(() => showResult('Unreadable file'));
+    settingsFile.value = '';
+}
+
+function resetAllSettings() {
+    if (!window.confirm('Reset every setting and delete world times, alarms, events, custom themes and focus history?')) return;
+    ['modernClockSettings', 'modernClockSettingsCorrupt', ...Object.values(backupSections)].forEach(key => {
+        localStorage.removeItem(key);
+    });
+    window.location.reload();
+}
+
+// -------------------------------
+// Create an AudioContext on first use (chime feature)
+// -------------------------------
+function initAudio() {
+    if (audioContext) return;
+    audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    masterGain = audioContext.createGain();
+    masterGain.gain.value = settings.chimeVolume;
+    masterGain.connect(audioContext.destination);
+}
+
+// -------------------------------
+// Chime patterns
+// Each pattern turns a clock time into a list of notes
+// { frequency, offset, duration, voice } or [] when it stays silent.
+// -------------------------------
+const westminsterNotes = { gs: 415.3, fs: 369.99, e: 329.63, b: 246.94 };
+const westminsterChanges = [
+    ['gs', 'fs', 'e', 'b'],
+    ['e', 'gs', 'fs', 'b'],
+    ['e', 'fs', 'gs', 'e'],
+    ['gs', 'e', 'fs', 'b'],
+    ['b', 'fs', 'gs', 'e']
+];
+
+// Quarter number (1-4) -> which changes to ring, in order
+const westminsterQuarters = { 1: [0], 2: [1, 2], 3: [3, 4, 0], 4: [1, 2, 3, 4] };
+
+function getStrikeCount(hours) {
+    return hours % 12 || 12;
+}
+
+function getChimeSequence(pattern, hours, minutes) {
+    const notes = [];
+
+    if (pattern === 'westminster') {
+        if (minutes % 15 !== 0) return notes;
+        const quarter = minutes === 0 ? 4 : minutes / 15;
+        let offset = 0;
+        westminsterQuarters[quarter].forEach(change => {
+            westminsterChanges[change].forEach((name, index) => {
+                // The last note of each change is held longer
+                notes.push({ frequency: westminsterNotes[name], offset, duration: index === 3 ? 2.2 : 1.4, voice: 'bell' });
+                offset += index === 3 ? 1.2 : 0.6;
+            });
+            offset += 0.4;
+        });
+        if (quarter === 4) {
+            offset += 1;
+            for (let i = 0; i < getStrikeCount(hours); i++) {
+                notes.push({ frequency: 164.81, offset: offset + i * 1.8, duration: 2.8, voice: 'bell' });
+            }
+        }
+        return notes;
+    }
+
+    if (pattern === 'strike') {
+        if (minutes !== 0) return notes;
+        for (let i = 0; i < getStrikeCount(hours); i++) {
+            notes.push({ frequency: 196, offset: i * 1.6, duration: 2.4, voice: 'bell' });
+        }
+        return notes;
+    }
+
+    if (pattern === 'ships') {
+        if (minutes % 30 !== 0) return notes;
+        // One bell per half hour of the four-hour watch, struck in pairs
+        const bells = (hours * 2 + minutes / 30) % 8 || 8;
+        for (let i = 0; i < bells; i++) {
+            const offset = Math.floor(i / 2) * 1.2 + (i % 2) * 0.35;
+            notes.push({ frequency: 880, offset, duration: 1.2, voice: 'bell' });
+        }
+        return notes;
+    }
+
+    if (pattern === 'cuckoo') {
+        if (minutes % 30 !== 0) return notes;
+        const calls = minutes === 0 ? getStrikeCount(hours) : 1;
+        for (let i = 0; i < calls; i++) {
+            notes.push({ frequency: 698.46, offset: i * 0.9, duration: 0.22, voice: 'cuckoo' });
+            notes.push({ frequency: 587.33, offset: i * 0.9 + 0.28, duration: 0.3, voice: 'cuckoo' });
+        }
+        return notes;
+    }
+
+    return notes;
+}
+
+// -------------------------------
+// Bell voice: a fundamental plus inharmonic partials with a long decay
+// -------------------------------
+function scheduleBell(frequency, offset, duration) {
+    scheduleNote(frequency, offset, duration, 'sine', 0.4);
+    scheduleNote(frequency * 2, offset, duration * 0.6, 'sine', 0.12);
+    scheduleNote(frequency * 2.76, offset, duration * 0.35, 'sine', 0.06);
+}
+
+// -------------------------------
+// Play a chime sequence after any sequence that is still sounding
+// Returns the audioContext time at which this sequence ends.
+// -------------------------------
+function playChimeSequence(notes) {
+    if (notes.length === 0) return chimeBusyUntil;
+    initAudio();
+    if (audioContext.state === 'suspended') {
+        audioContext.resume();
+    }
+
+    const start = Math.max(0, chimeBusyUntil - audioContext.currentTime);
+    let end = 0;
+    notes.forEach(note => {
+        if (note.voice === 'cuckoo') {
+            scheduleNote(note.frequency, start + note.offset, note.duration, 'triangle', 0.35);
+        } else {
+            scheduleBell(note.frequency, start + note.offset, note.duration);
+        }
+        end = Math.max(end, note.offset + note.duration);
+    });
+    chimeBusyUntil = audioContext.currentTime + start + end;
+    return chimeBusyUntil;
+}
+
+// -------------------------------
+// Quiet hours can wrap past midnight (22:00 -> 07:00)
+// -------------------------------
+function isQuietTime(hours, minutes) {
+    if (!settings.quietHours) return false;
+    return isTimeInRange(hours * 60 + minutes, settings.quietStart, settings.quietEnd);
+}
+
+// -------------------------------
+// Is a minute of the day inside an 'HH:MM' range that may wrap past midnight?
+// An empty range (start === end) contains nothing.
+// -------------------------------
+function isTimeInRange(minuteOfDay, startTime, endTime) {
+    const toMinutes = value => {
+        const [h, m] = value.split(':').map(Number);
+        return h * 60 + m;
+    };
+    const start = toMinutes(startTime);
+    const end = toMinutes(endTime);
+    if (start === end) return false;
+    return start < end
+        ? minuteOfDay >= start && minuteOfDay < end
+        : minuteOfDay >= start || minuteOfDay < end;
+}
+
+// -------------------------------
+// Optional chime for the most recent chiming minute since the last check
+// Called from the render loop and from the hidden-tab timer. Like alarms,
+// a throttled background tab (checked as rarely as once a minute) chimes
+// late rather than not at all; a chime more than a few minutes late is
+// dropped. Zone offsets are whole minutes, so minutes start on UTC minutes.
+// -------------------------------
+const chimeLateLimit = 5 * 60000;
+
+function checkChime(now) {
+    const from = lastChimeCheck;
+    lastChimeCheck = now.getTime();
+    if (!settings.chime) return;
+
+    const latest = Math.floor(now.getTime() / 60000) * 60000;
+    for (let start = latest; start > from && start > latest - chimeLateLimit; start -= 60000) {
+        const { hours, minutes } = getTimeParts(new Date(start));
+        if (getChimeSequence(settings.chimePattern, hours, minutes).length) {
+            playChime(hours, minutes);
+            return;
+        }
+    }
+}
+
+// -------------------------------
+// Chime for the current minute if the pattern has something to play
+// -------------------------------
+function playChime(hours, minutes) {
+    const notes = getChimeSequence(settings.chimePattern, hours, minutes);
+    if (isQuietTime(hours, minutes) || notes.length === 0) return;
+    playChimeSequence(notes);
+    emitClockEvent('chime', { pattern: settings.chimePattern, hours, minutes });
+}
+
+// -------------------------------
+// Preview plays the pattern's top-of-the-hour sequence for the current hour
+// -------------------------------
+function previewChime() {
+    const { hours } = getTimeParts(new Date());
+    playChimeSequence(getChimeSequence(chimePatternSelect.value, hours, 0));
+}
+
+// -------------------------------
+// Schedule one enveloped oscillator note on the master gain
+// offset and duration are in seconds relative to audioContext.currentTime.
+// -------------------------------
+function scheduleNote(frequency, offset, duration, type = 'sine', peak = 0.4) {
+    const start = audioContext.currentTime + offset;
+    const osc = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+    osc.type = type;
+    osc.frequency.setValueAtTime(frequency, start);
+    gain.gain.setValueAtTime(0.001, start);
+    gain.gain.exponentialRampToValueAtTime(peak, start + 0.01);
+    gain.gain.exponentialRampToValueAtTime(0.001, start + duration);
+    osc.connect(gain);
+    gain.connect(masterGain);
+    osc.start(start);
+    osc.stop(start + duration + 0.05);
+    return osc;
+}
+
+// -------------------------------
+// Alarm tones, each a short phrase repeated while ringing
+// -------------------------------
+const alarmTones = {
+    bell: { label: 'Bell', notes: [[784, 0, 1.2, 'sine'], [1568, 0, 0.6, 'sine'], [784, 1, 1.2, 'sine']] },
+    beep: { label: 'Beep', notes: [[880, 0, 0.15, 'square'], [880, 0.25, 0.15, 'square'], [880, 0.5, 0.15, 'square']] },
+    chirp: { label: 'Chirp', notes: [[1046, 0, 0.12, 'triangle'], [1318, 0.12, 0.12, 'triangle'], [1568, 0.24, 0.2, 'triangle']] },
+    pulse: { label: 'Pulse', notes: [[440, 0, 0.5, 'sawtooth'], [440, 0.7, 0.5, 'sawtooth']] }
+};
+
+function playAlarmTone(toneName) {
+    initAudio();
+    if (audioContext.state === 'suspended') {
+        audioContext.resume();
+    }
+    const tone = alarmTones[toneName] || alarmTones.bell;
+    tone.notes.forEach(([frequency, offset, duration, type]) => {
+        scheduleNote(frequency, offset, duration, type, type === 'sine' ? 0.4 : 0.15);
+    });
+}
+
+// -------------------------------
+// Alarm storage
+// Each alarm: { id, name, time: 'HH:MM', zone, repeat, days, tone, enabled, snoozeUntil }
+// repeat is 'once', 'weekdays' or 'custom' (days = 0..6, Sunday first).
+// -------------------------------
+const snoozeMinutes = 9;
+const alarmRingLimit = 10 * 60 * 1000; // Ringing stops by itself after ten minutes
+
+function loadAlarms() {
+    try {
+        const stored = JSON.parse(localStorage.getItem('modernClockAlarms') || '[]');
+        if (Array.isArray(stored)) {
+            return stored.filter(isValidAlarm);
+        }
+    } catch (error) {
+        // Corrupt storage starts with an empty alarm list
+    }
+    return [];
+}
+
+// Stored alarms and backups are checked before use: a bad zone or repeat
+// rule would otherwise break the alarm list and the per-second check
+function isValidAlarm(alarm) {
+    if (!alarm || !/^\d{2}:\d{2}$/.test(alarm.time) || !settingChecks.zone(alarm.zone)) return false;
+    if (alarm.repeat === 'custom') {
+        return Array.isArray(alarm.days) && alarm.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6);
+    }
+    return ['once', 'weekdays'].includes(alarm.repeat);
+}
+
+function saveAlarms() {
+    localStorage.setItem('modernClockAlarms', JSON.stringify(alarms));
+}
+
+const alarms = loadAlarms();
+
+// -------------------------------
+// Does the alarm's repeat rule allow ringing on this weekday?
+// -------------------------------
+function alarmRunsOnDay(alarm, weekday) {
+    if (alarm.repeat === 'weekdays') return weekday >= 1 && weekday <= 5;
+    if (alarm.repeat === 'custom') return alarm.days.includes(weekday);
+    return true;
+}
+
+// -------------------------------
+// Next instant strictly after `from` at which the alarm should ring
+// Looks a week ahead so every repeat rule finds its next day.
+// -------------------------------
+function getNextAlarmTime(alarm, from) {
+    const zone = resolveTimeZone(alarm.zone);
+    const [hours, minutes] = alarm.time.split(':').map(Number);
+    const start = getZoneParts(from, zone);
+
+    for (let i = 0; i <= 7; i++) {
+        const dayUtc = new Date(Date.UTC(start.year, start.month, start.day + i));
+        if (!alarmRunsOnDay(alarm, dayUtc.getUTCDay())) continue;
+        const instant = getZonedInstant(
+            dayUtc.getUTCFullYear(), dayUtc.getUTCMonth(), dayUtc.getUTCDate(), hours, minutes, zone
+        );
+        if (instant > from) return instant;
+    }
+    return null;
+}
+
+// -------------------------------
+// Short text for the repeat rule
+// -------------------------------
+function describeAlarmRepeat(alarm) {
+    if (alarm.repeat === 'weekdays') return 'Weekdays';
+    if (alarm.repeat === 'custom') {
+        return alarm.days.length ? alarm.days.map(day => weekdayNames[day]).join(' ') : 'Never';
+    }
+    return 'Once';
+}
+
+// -------------------------------
+// Render the alarm list with enable and delete controls
+// -------------------------------
+function buildAlarmList() {
+    alarmList.innerHTML = '';
+
+    if (alarms.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'alarm-empty';
+        empty.textContent = 'No alarms set';
+        alarmList.appendChild(empty);
+        return;
+    }
+
+    const now = new Date();
+    alarms.forEach(alarm => {
+        const row = document.createElement('div');
+        row.className = 'alarm-item';
+        row.classList.toggle('ringing', ringingAlarmIds.includes(alarm.id));
+
+        const info = document.createElement('div');
+        info.className = 'alarm-info';
+        const time = document.createElement('div');
+        time.className = 'alarm-time';
+        time.textContent = alarm.time;
+        const name = document.createElement('div');
+        name.className = 'alarm-name';
+        name.textContent = alarm.name;
+        const meta = document.createElement('div');
+        meta.className = 'alarm-meta';
+        const zoneLabel = alarm.zone === 'local' ? 'Local' : alarm.zone === 'utc' ? 'UTC' : getZoneCityName(alarm.zone);
+        const details = [describeAlarmRepeat(alarm), zoneLabel, alarmTones[alarm.tone]?.label || 'Bell'];
+        if (alarm.snoozeUntil) {
+            details.push('Snoozed');
+        } else if (alarm.enabled) {
+            const next = getNextAlarmTime(alarm, now);
+            if (next) {
+                details.push(`Next ${next.toLocaleString(getLocale(), { weekday: 'short', hour: '2-digit', minute: '2-digit', hour12: !settings.is24Hour, ...getLocaleOptions() })}`);
+            }
+        }
+        meta.textContent = details.join(' \u00b7 ');
+        info.append(time, name, meta);
+
+        const toggle = document.createElement('label');
+        toggle.className = 'toggle';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = alarm.enabled;
+        checkbox.dataset.id = alarm.id;
+        checkbox.className = 'alarm-enabled';
+        checkbox.setAttribute('aria-label', `Enable ${alarm.name}`);
+        toggle.appendChild(checkbox);
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'alarm-remove';
+        remove.dataset.id = alarm.id;
+        remove.textContent = '\u00d7';
+        remove.setAttribute('aria-label', `Delete ${alarm.name}`);
+
+        row.append(info, toggle, remove);
+        alarmList.appendChild(row);
+    });
+}
+
+// -------------------------------
+// Copy the main zone options into the alarm zone select
+// -------------------------------
+function buildAlarmZoneOptions() {
+    alarmZone.innerHTML = timezoneSelect.innerHTML;
+    alarmZone.value = settings.timezone;
+}
+
+// -------------------------------
+// Create an alarm from the editor form
+// -------------------------------
+function addAlarm(event) {
+    event.preventDefault();
+    if (!alarmTime.value) return;
+
+    const days = [...alarmDays.querySelectorAll('input:checked')].map(input => Number(input.value));
+    alarms.push({
+        id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        name: alarmName.value.trim() || 'Alarm',
+        time: alarmTime.value.slice(0, 5),
+        zone: alarmZone.value,
+        repeat: alarmRepeat.value,
+        days: alarmRepeat.value === 'custom' ? days : [],
+        tone: alarmTone.value,
+        enabled: true,
+        snoozeUntil: null
+    });
+    saveAlarms();
+    buildAlarmList();
+    alarmName.value = '';
+
+    // Creating an alarm is a user gesture, so unlock audio now for later ringing
+    initAudio();
+    if (audioContext.state === 'suspended') {
+        audioContext.resume();
+    }
+}
+
+function setAlarmEnabled(id, enabled) {
+    const alarm = alarms.find(item => item.id === id);
+    if (!alarm) return;
+    alarm.enabled = enabled;
+    alarm.snoozeUntil = null;
+    saveAlarms();
+    buildAlarmList();
+}
+
+function removeAlarm(id) {
+    const index = alarms.findIndex(item => item.id === id);
+    if (index === -1) return;
+    alarms.splice(index, 1);
+    stopRinging([id]);
+    saveAlarms();
+    buildAlarmList();
+}
+
+// -------------------------------
+// Ringing state: banner, clock face highlight and repeating tone
+// -------------------------------
+function startRinging(alarm, now) {
+    if (!ringingAlarmIds.includes(alarm.id)) {
+        ringingAlarmIds.push(alarm.id);
+        emitClockEvent('alarm', { id: alarm.id, name: alarm.name, time: alarm.time });
+    }
+    if (ringingAlarmIds.length === 1) {
+        ringStartedAt = now.getTime();
+        lastRingToneAt = 0;
+    }
+    updateAlarmBanner();
+}
+
+function stopRinging(ids = ringingAlarmIds) {
+    ringingAlarmIds = ringingAlarmIds.filter(id => !ids.includes(id));
+    updateAlarmBanner();
+}
+
+function updateAlarmBanner() {
+    const ringing = alarms.filter(alarm => ringingAlarmIds.includes(alarm.id));
+    const active = ringing.length > 0;
+    clock.classList.toggle('alarm-ringing', active);
+    alarmBanner.hidden = !active;
+    alarmBannerName.textContent = ringing.map(alarm => `${alarm.name} \u00b7 ${alarm.time}`).join(', ');
+}
+
+function snoozeAlarms() {
+    const until = Date.now() + snoozeMinutes * 60000;
+    alarms.forEach(alarm => {
+        if (ringingAlarmIds.includes(alarm.id)) {
+            alarm.snoozeUntil = until;
+        }
+    });
+    stopRinging();
+    saveAlarms();
+    buildAlarmList();
+}
+
+function dismissAlarms() {
+    alarms.forEach(alarm => {
+        if (ringingAlarmIds.includes(alarm.id)) {
+            alarm.snoozeUntil = null;
+        }
+    });
+    stopRinging();
+    saveAlarms();
+    buildAlarmList();
+}
+
+// -------------------------------
+// Fire any alarm whose time fell between the previous check and now
+// Using the interval instead of an exact-second match means a throttled
+// background tab rings late rather than skipping the alarm.
+// -------------------------------
+function checkAlarms(now) {
+    const from = new Date(lastAlarmCheck);
+    let changed = false;
+
+    alarms.forEach(alarm => {
+        if (alarm.snoozeUntil) {
+            if (alarm.snoozeUntil <= now.getTime()) {
+                alarm.snoozeUntil = null;
+                changed = true;
+                startRinging(alarm, now);
+            }
+            return;
+        }
+        if (!alarm.enabled) return;
+
+        const due = getNextAlarmTime(alarm, from);
+        if (due && due <= now) {
+            if (alarm.repeat === 'once') {
+                alarm.enabled = false;
+            }
+            changed = true;
+            startRinging(alarm, now);
+        }
+    });
+
+    lastAlarmCheck = now.getTime();
+    if (changed) {
+        saveAlarms();
+        buildAlarmList();
+    }
+
+    // Repeat the tone every few seconds until snoozed, dismissed or timed out
+    if (ringingAlarmIds.length) {
+        if (now.getTime() - ringStartedAt > alarmRingLimit) {
+            dismissAlarms();
+            return;
+        }
+        if (now.getTime() - lastRingToneAt >= 2500) {
+            lastRingToneAt = now.getTime();
+            const alarm = alarms.find(item => item.id === ringingAlarmIds[0]);
+            playAlarmTone(alarm ? alarm.tone : 'bell');
+        }
+    }
+}
+
+// -------------------------------
+// Timer and stopwatch state
+// Both use performance.now() so wall-clock changes can't skew them.
+// startedAt is null while paused; accumulated time is banked on pause.
+// -------------------------------
+const timerState = {
+    duration: 5 * 60 * 1000,
+    banked: 0,
+    startedAt: null,
+    finished: false
+};
+
+const stopwatchState = {
+    banked: 0,
+    startedAt: null,
+    laps: []
+};
+
+function getTimerElapsed() {
+    const running = timerState.startedAt === null ? 0 : performance.now() - timerState.startedAt;
+    return timerState.banked + running;
+}
+
+function getTimerRemaining() {
+    return Math.max(0, timerState.duration - getTimerElapsed());
+}
+
+function getStopwatchElapsed() {
+    const running = stopwatchState.startedAt === null ? 0 : performance.now() - stopwatchState.startedAt;
+    return stopwatchState.banked + running;
+}
+
+// -------------------------------
+// Split a duration into clock-like parts for the hands
+// -------------------------------
+function getDurationParts(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    return {
+        hours: Math.floor(totalSeconds / 3600),
+        minutes: Math.floor(totalSeconds / 60) % 60,
+        seconds: totalSeconds % 60,
+        milliseconds: Math.floor(ms % 1000)
+    };
+}
+
+// -------------------------------
+// Format a duration as H:MM:SS or MM:SS.t
+// -------------------------------
+function formatDuration(ms, showTenths = false) {
+    const { hours, minutes, seconds, milliseconds } = getDurationParts(ms);
+    const pad = value => String(value).padStart(2, '0');
+    const base = hours ? `${hours}:${pad(minutes)}:${pad(seconds)}` : `${pad(minutes)}:${pad(seconds)}`;
+    return showTenths ? `${base}.${Math.floor(milliseconds / 100)}` : base;
+}
+
+// -------------------------------
+// Read the countdown length from the timer inputs
+// -------------------------------
+function readTimerInputs() {
+    const clamp = (input, max) => Math.min(max, Math.max(0, Math.floor(Number(input.value) || 0)));
+    return ((clamp(timerHours, 23) * 60 + clamp(timerMinutes, 59)) * 60 + clamp(timerSeconds, 59)) * 1000;
+}
+
+// -------------------------------
+// Switch what the analog dial shows
+// -------------------------------
+function setDialMode(mode) {
+    dialMode = mode;
+    document.body.dataset.dialMode = mode;
+    dialModeSwitch.querySelectorAll('button').forEach(button => {
+        button.setAttribute('aria-pressed', String(button.dataset.mode === mode));
+    });
+    invalidateClock();
+    updateTimerControls();
+    updateClock();
+}
+
+// -------------------------------
+// Start/pause, reset and lap actions for the active mode
+// -------------------------------
+function toggleTimerRunning() {
+    if (dialMode === 'stopwatch') {
+        if (stopwatchState.startedAt === null) {
+            stopwatchState.startedAt = performance.now();
+        } else {
+            stopwatchState.banked = getStopwatchElapsed();
+            stopwatchState.startedAt = null;
+        }
+    } else {
+        if (timerState.startedAt === null) {
+            if (timerState.finished || timerState.banked === 0) {
+                // Fresh countdown: take the length from the inputs
+                timerState.duration = readTimerInputs();
+                timerState.banked = 0;
+                timerState.finished = false;
+                clock.classList.remove('timer-done');
+            }
+            if (timerState.duration === 0) return;
+            timerState.startedAt = performance.now();
+
+            // Starting is a user gesture, so unlock audio for the completion signal
+            initAudio();
+            if (audioContext.state === 'suspended') {
+                audioContext.resume();
+            }
+        } else {
+            timerState.banked = getTimerElapsed();
+            timerState.startedAt = null;
+        }
+        if (dialMode === 'clock') {
+            setDialMode('timer');
+            return;
+        }
+    }
+    updateTimerControls();
+}
+
+function resetTimer() {
+    if (dialMode === 'stopwatch') {
+        stopwatchState.banked = 0;
+        stopwatchState.startedAt = null;
+        stopwatchState.laps = [];
+        buildLapList();
+    } else {
+        timerState.duration = readTimerInputs();
+        timerState.banked = 0;
+        timerState.startedAt = null;
+        timerState.finished = false;
+        clock.classList.remove('timer-done');
+    }
+    invalidateClock();
+    updateTimerControls();
+}
+
+function recordLap() {
+    if (stopwatchState.startedAt === null) return;
+    const total = getStopwatchElapsed();
+    const previous = stopwatchState.laps.length ? stopwatchState.laps[stopwatchState.laps.length - 1].total : 0;
+    stopwatchState.laps.push({ split: total - previous, total });
+    buildLapList();
+}
+
+// -------------------------------
+// Render lap splits, newest first
+// -------------------------------
+function buildLapList() {
+    lapList.innerHTML = '';
+    stopwatchState.laps.slice().reverse().forEach((lap, index) => {
+        const row = document.createElement('li');
+        row.className = 'lap-item';
+        const number = document.createElement('span');
+        number.textContent = `Lap ${stopwatchState.laps.length - index}`;
+        const split = document.createElement('span');
+        split.textContent = formatDuration(lap.split, true);
+        const total = document.createElement('span');
+        total.textContent = formatDuration(lap.total, true);
+        row.append(number, split, total);
+        lapList.appendChild(row);
+    });
+}
+
+// -------------------------------
+// Button labels and visibility follow the active mode and run state
+// -------------------------------
+function updateTimerControls() {
+    const isStopwatch = dialMode === 'stopwatch';
+    const running = isStopwatch ? stopwatchState.startedAt !== null : timerState.startedAt !== null;
+    timerStart.textContent = running ? 'Pause' : 'Start';
+    timerLap.hidden = !isStopwatch;
+    timerLap.disabled = !running;
+    timerInputs.hidden = isStopwatch;
+    lapList.hidden = !isStopwatch;
+    updateTimerReadout();
+}
+
+function updateTimerReadout() {
+    setText(timerReadout, dialMode === 'stopwatch'
+        ? formatDuration(getStopwatchElapsed(), true)
+        : formatDuration(timerState.startedAt === null && timerState.banked === 0 && !timerState.finished
+            ? readTimerInputs()
+            : getTimerRemaining(), true));
+}
+
+// -------------------------------
+// Finish the countdown once it reaches zero
+// Called from the render loop and the hidden-tab interval.
+// -------------------------------
+function checkTimer() {
+    if (timerState.startedAt === null || getTimerRemaining() > 0) return;
+    timerState.banked = timerState.duration;
+    timerState.startedAt = null;
+    timerState.finished = true;
+    clock.classList.add('timer-done');
+    playAlarmTone('chirp');
+    setTimeout(() => playAlarmTone('chirp'), 800);
+    setTimeout(() => playAlarmTone('chirp'), 1600);
+    updateTimerControls();
+    emitClockEvent('timerdone', { duration: timerState.duration });
+}
+
+// -------------------------------
+// Focus session (Pomodoro) engine
+// Phases run on performance.now() like the timer and advance automatically:
+// work -> short break, with a long break after every `focusCycles` work phases.
+// -------------------------------
+const focusPhases = {
+    work: { label: 'Focus', setting: 'focusWork' },
+    short: { label: 'Short Break', setting: 'focusShortBreak' },
+    long: { label: 'Long Break', setting: 'focusLongBreak' }
+};
+
+const focusState = {
+    phase: 'work',
+    completedWork: 0,       // Work phases finished in the current set
+    banked: 0,
+    startedAt: null,
+    active: false           // False until the first Start, so the arc stays hidden
+};
+
+function getFocusPhaseDuration(phase = focusState.phase) {
+    return settings[focusPhases[phase].setting] * 60000;
+}
+
+function getFocusElapsed() {
+    const running = focusState.startedAt === null ? 0 : performance.now() - focusState.startedAt;
+    return focusState.banked + running;
+}
+
+// -------------------------------
+// Per-day history of completed work sessions
+// Stored as { 'YYYY-MM-DD': { sessions, minutes } } and pruned to 90 days.
+// -------------------------------
+function loadFocusHistory() {
+    try {
+        const stored = JSON.parse(localStorage.getItem('modernClockFocusHistory') || '{}');
+        if (stored && typeof stored === 'object' && !Array.isArray(stored)) {
+            // Keep only day entries with numeric counts
+            const history = {};
+            Object.keys(stored).forEach(key => {
+                const entry = stored[key];
+                if (/^\d{4}-\d{2}-\d{2}$/.test(key) && entry && Number.isFinite(entry.sessions) && Number.isFinite(entry.minutes)) {
+                    history[key] = { sessions: entry.sessions, minutes: entry.minutes };
+                }
+            });
+            return history;
+        }
+    } catch (error) {
+        // Corrupt storage starts a fresh history
+    }
+    return {};
+}
+
+const focusHistoryData = loadFocusHistory();
+
+function getDateKey(parts) {
+    return `${parts.year}-${String(parts.month + 1).padStart(2, '0')}-${String(parts.day).padStart(2, '0')}`;
+}
+
+function recordFocusSession(minutes) {
+    const key = getDateKey(getClockDate(new Date()));
+    const entry = focusHistoryData[key] || { sessions: 0, minutes: 0 };
+    entry.sessions += 1;
+    entry.minutes += minutes;
+    focusHistoryData[key] = entry;
+
+    const keys = Object.keys(focusHistoryData).sort();
+    keys.slice(0, Math.max(0, keys.length - 90)).forEach(old => delete focusHistoryData[old]);
+    localStorage.setItem('modernClockFocusHistory', JSON.stringify(focusHistoryData));
+    buildFocusHistory();
+}
+
+// -------------------------------
+// Summary: today's totals plus a bar per day for the last week
+// -------------------------------
+function buildFocusHistory() {
+    const today = getClockDate(new Date());
+    const todayEntry = focusHistoryData[getDateKey(today)] || { sessions: 0, minutes: 0 };
+    focusToday.textContent = `Today ${todayEntry.sessions} ${todayEntry.sessions === 1 ? 'session' : 'sessions'} \u00b7 ${todayEntry.minutes} min`;
+
+    focusHistory.innerHTML = '';
+    const days = [];
+    for (let i = 6; i >= 0; i--) {
+        const date = new Date(Date.UTC(today.year, today.month, today.day - i));
+        const key = getDateKey({ year: date.getUTCFullYear(), month: date.getUTCMonth(), day: date.getUTCDate() });
+        days.push({ label: weekdayNames[date.getUTCDay()], entry: focusHistoryData[key] || { sessions: 0, minutes: 0 } });
+    }
+    const most = Math.max(1, ...days.map(day => day.entry.sessions));
+
+    days.forEach(day => {
+        const column = document.createElement('div');
+        column.className = 'focus-day';
+        column.title = `${day.entry.sessions} sessions, ${day.entry.minutes} min`;
+        const bar = document.createElement('div');
+        bar.className = 'focus-bar';
+        bar.style.height = `${(day.entry.sessions / most) * 100}%`;
+        const count = document.createElement('span');
+        count.textContent = day.entry.sessions;
+        const label = document.createElement('span');
+        label.textContent = day.label;
+        column.append(count, bar, label);
+        focusHistory.appendChild(column);
+    });
+
+    const summary = document.createElement('div');
+    summary.className = 'focus-summary';
+    summary.textContent = focusToday.textContent;
+    focusHistory.appendChild(summary);
+}
+
+// -------------------------------
+// Short cue when a phase starts: rising for work, falling for breaks
+// -------------------------------
+function playFocusCue(phase) {
+    initAudio();
+    if (audioContext.state === 'suspended') {
+        audioContext.resume();
+    }
+    const notes = phase === 'work' ? [523, 659, 784] : [784, 659, 523];
+    if (phase === 'long') notes.push(392);
+    notes.forEach((frequency, index) => scheduleNote(frequency, index * 0.18, 0.5, 'sine', 0.3));
+}
+
+// -------------------------------
+// Move to the next phase, recording finished work sessions
+// A skipped work phase goes to a short break without counting toward the
+// long break or the history.
+// -------------------------------
+function advanceFocusPhase(completed) {
+    if (focusState.phase === 'work' && completed) {
+        recordFocusSession(settings.focusWork);
+        focusState.completedWork += 1;
+        focusState.phase = focusState.completedWork % settings.focusCycles === 0 ? 'long' : 'short';
+    } else if (focusState.phase === 'work') {
+        focusState.phase = 'short';
+    } else {
+        focusState.phase = 'work';
+    }
+    focusState.banked = 0;
+    focusState.startedAt = focusState.startedAt === null ? null : performance.now();
+    playFocusCue(focusState.phase);
+    updateFocusControls();
+}
+
+function toggleFocusSession() {
+    if (focusState.startedAt === null) {
+        if (!focusState.active) {
+            playFocusCue(focusState.phase);
+        }
+        focusState.active = true;
+        focusState.startedAt = performance.now();
+    } else {
+        focusState.banked = getFocusElapsed();
+        focusState.startedAt = null;
+    }
+    updateFocusControls();
+}
+
+// -------------------------------
+// Panel shortcut: enter Focus Mode and start the first work phase
+// -------------------------------
+function startFocusSessionInFocusMode() {
+    if (!settings.focusMode) {
+        toggleFocusMode();
+    }
+    if (focusState.startedAt === null) {
+        toggleFocusSession();
+    }
+}
+
+function skipFocusPhase() {
+    if (!focusState.active) return;
+    advanceFocusPhase(false);
+}
+
+function resetFocusSession() {
+    focusState.phase = 'work';
+    focusState.completedWork = 0;
+    focusState.banked = 0;
+    focusState.startedAt = null;
+    focusState.active = false;
+    updateFocusControls();
+}
+
+// -------------------------------
+// Advance once the current phase runs out
+// Called from the render loop and the hidden-tab interval.
+// -------------------------------
+function checkFocusSession() {
+    if (focusState.startedAt === null) return;
+    if (getFocusElapsed() >= getFocusPhaseDuration()) {
+        advanceFocusPhase(true);
+    }
+}
+
+function updateFocusControls() {
+    const running = focusState.startedAt !== null;
+    focusStart.textContent = running ? 'Pause' : focusState.active ? 'Resume' : 'Start';
+    if (!focusState.active) {
+        focusPhaseLabel.textContent = 'Focus Session';
+    } else if (focusState.phase === 'work') {
+        focusPhaseLabel.textContent = `Focus ${(focusState.completedWork % settings.focusCycles) + 1}/${settings.focusCycles}`;
+    } else {
+        focusPhaseLabel.textContent = focusPhases[focusState.phase].label;
+    }
+    document.body.dataset.focusPhase = focusState.active ? focusState.phase : '';
+    updateFocusReadout();
+}
+
+function updateFocusReadout() {
+    setText(focusRemaining, formatDuration(Math.max(0, getFocusPhaseDuration() - getFocusElapsed())));
+}
+
+// -------------------------------
+// Draw the current phase on the dial against the minute track
+// The arc starts where the minute hand was when the phase began and spans
+// the phase length; the elapsed part is drawn stronger.
+// -------------------------------
+function updateFocusArc(now) {
+    if (!focusState.active) {
+        setStyle(focusArc, 'opacity', '0');
+        return;
+    }
+
+    const duration = getFocusPhaseDuration();
+    const elapsed = getFocusElapsed();
+    const start = getTimeParts(new Date(now.getTime() - elapsed));
+    const startAngle = (start.minutes + start.seconds / 60) * 6;
+    const spanDeg = Math.min(360, (duration / 3600000) * 360);
+    const doneDeg = Math.min(spanDeg, (elapsed / duration) * spanDeg);
+
+    setStyle(focusArc, 'opacity', '1');
+    setStyle(focusArc, 'background', `conic-gradient(from ${startAngle}deg,
+        var(--focus-fill) 0deg,
+        var(--focus-fill) ${doneDeg}deg,
+        var(--focus-track) ${doneDeg}deg,
+        var(--focus-track) ${spanDeg}deg,
+        transparent ${spanDeg}deg
+    )`);
+}
+
+// -------------------------------
+// Sync focus lengths from the inputs and persist
+// -------------------------------
+function handleFocusSettingsChange() {
+    const read = (input, min, max) => Math.min(max, Math.max(min, Math.round(Number(input.value) || min)));
+    settings.focusWork = read(focusWorkInput, 1, 180);
+    settings.focusShortBreak = read(focusShortInput, 1, 60);
+    settings.focusLongBreak = read(focusLongInput, 1, 120);
+    settings.focusCycles = read(focusCyclesInput, 1, 12);
+    saveSettings();
+    updateFocusControls();
+}
+
+// -------------------------------
+// Calendar events
+// Each event: { uid, title, allDay, start, end, notes }
+// All-day start/end are 'YYYY-MM-DD'; timed start/end are ISO instants.
+// -------------------------------
+function loadEvents() {
+    try {
+        const stored = JSON.parse(localStorage.getItem('modernClockEvents') || '[]');
+        if (Array.isArray(stored)) {
+            return stored.filter(isValidEvent);
+        }
+    } catch (error) {
+        // Corrupt storage starts with no events
+    }
+    return [];
+}
+
+// All-day dates must look like dates and timed instants must parse, or the
+// calendar, dial markers and export would throw on them
+function isValidEvent(event) {
+    if (!event || !event.uid) return false;
+    const isValidTime = value => typeof value === 'string' &&
+        (event.allDay ? /^\d{4}-\d{2}-\d{2}$/.test(value) : !Number.isNaN(Date.parse(value)));
+    return isValidTime(event.start) && (!event.end || isValidTime(event.end));
+}
+
+function saveEvents() {
+    localStorage.setItem('modernClockEvents', JSON.stringify(calendarEvents));
+}
+
+const calendarEvents = loadEvents();
+
+function createEventId() {
+    return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}@modern-clock`;
+}
+
+// -------------------------------
+// Calendar day an event belongs to in the clock's time zone
+// -------------------------------
+function getEventDateKey(event) {
+    if (event.allDay) return event.start;
+    return getDateKey(getZoneParts(new Date(event.start), getTimeZoneOption()));
+}
+
+function getEventsForDate(dateKey) {
+    return calendarEvents
+        .filter(event => getEventDateKey(event) === dateKey)
+        .sort((a, b) => (a.allDay === b.allDay ? a.start.localeCompare(b.start) : a.allDay ? -1 : 1));
+}
+
+// -------------------------------
+// Per-day detail view: event list plus the add form
+// -------------------------------
+function selectCalendarDay(dateKey) {
+    selectedDateKey = dateKey;
+    if (dateKey) {
+        calendarFocusKey = dateKey;
+    }
+    calendarGrid.querySelectorAll('.calendar-cell.day').forEach(cell => {
+        const selected = cell.dataset.date === dateKey;
+        cell.classList.toggle('selected', selected);
+        cell.setAttribute('aria-selected', String(selected));
+        if (dateKey) {
+            cell.tabIndex = selected ? 0 : -1;
+        }
+    });
+    buildDayDetail();
+}
+
+// Close the detail view and put keyboard focus back on its day
+function closeDayDetail() {
+    selectCalendarDay(null);
+    const cell = calendarGrid.querySelector('.calendar-cell.day[tabindex="0"]');
+    if (cell) {
+        cell.focus();
+    }
+}
+
+function buildDayDetail() {
+    dayDetail.hidden = !selectedDateKey;
+    if (!selectedDateKey) return;
+
+    const [year, month, day] = selectedDateKey.split('-').map(Number);
+    dayDetailTitle.textContent = new Date(Date.UTC(year, month - 1, day)).toLocaleDateString(getLocale(), {
+        weekday: 'long',
+        month: 'long',
+        day: 'numeric',
+        timeZone: 'UTC',
+        ...getLocaleOptions()
+    });
+
+    dayEvents.innerHTML = '';
+    const events = getEventsForDate(selectedDateKey);
+    if (events.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'event-empty';
+        empty.textContent = 'No events';
+        dayEvents.appendChild(empty);
+    }
+
+    events.forEach(event => {
+        const row = document.createElement('li');
+        row.className = 'event-item';
+        const time = document.createElement('span');
+        time.className = 'event-time';
+        time.textContent = event.allDay ? 'All day' : shortTimeFormatter.format(new Date(event.start));
+        const title = document.createElement('span');
+        title.className = 'event-title';
+        title.textContent = event.title;
+        if (event.notes) title.title = event.notes;
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'alarm-remove event-remove';
+        remove.dataset.uid = event.uid;
+        remove.textContent = '\u00d7';
+        remove.setAttribute('aria-label', `Delete ${event.title}`);
+        row.append(time, title, remove);
+        dayEvents.appendChild(row);
+    });
+}
+
+// -------------------------------
+// Rebuild everything that shows events after the list changes
+// -------------------------------
+function refreshEvents() {
+    saveEvents();
+    buildCalendar(calendarMonthOffset);
+    buildDayDetail();
+    buildEventMarkers();
+}
+
+function addEvent(event) {
+    event.preventDefault();
+    if (!selectedDateKey || !eventTitle.value.trim()) return;
+
+    const [year, month, day] = selectedDateKey.split('-').map(Number);
+    const entry = { uid: createEventId(), title: eventTitle.value.trim(), allDay: !eventTime.value, start: selectedDateKey, end: null, notes: '' };
+    if (eventTime.value) {
+        const [hours, minutes] = eventTime.value.split(':').map(Number);
+        entry.start = getZonedInstant(year, month - 1, day, hours, minutes, getTimeZoneOption()).toISOString();
+    }
+    calendarEvents.push(entry);
+    eventTitle.value = '';
+    eventTime.value = '';
+    refreshEvents();
+}
+
+function removeEvent(uid) {
+    const index = calendarEvents.findIndex(event => event.uid === uid);
+    if (index === -1) return;
+    calendarEvents.splice(index, 1);
+    refreshEvents();
+}
+
+// -------------------------------
+// ICS import: TZID times use their zone, floating times use the clock's zone.
+// Events with a UID already in the list replace the stored copy.
+// -------------------------------
+function icsPartsToEventTime(parts) {
+    if (!parts) return null;
+    if (parts.dateOnly) {
+        return getDateKey(parts);
+    }
+    if (parts.utc) {
+        return new Date(Date.UTC(parts.year, parts.month, parts.day, parts.hours, parts.minutes, parts.seconds)).toISOString();
+    }
+    const zone = isValidTimeZone(parts.tzid) ? parts.tzid : getTimeZoneOption();
+    return getZonedInstant(parts.year, parts.month, parts.day, parts.hours, parts.minutes, zone).toISOString();
+}
+
+// Returns how many events were saved and how many failed isValidEvent()
+function importEvents(text) {
+    const parsed = parseICS(text);
+    let skipped = 0;
+    parsed.forEach(item => {
+        const entry = {
+            uid: item.uid || createEventId(),
+            title: item.summary || 'Untitled event',
+            allDay: item.start.dateOnly,
+            start: icsPartsToEventTime(item.start),
+            // The end takes the start's kind: a date for all-day events,
+            // an instant (midnight for a bare date) for timed ones
+            end: item.end ? icsPartsToEventTime({ ...item.end, dateOnly: item.start.dateOnly }) : null,
+            notes: item.description
+        };
+        if (!isValidEvent(entry)) {
+            skipped += 1;
+            return;
+        }
+        const existing = calendarEvents.findIndex(event => event.uid === entry.uid);
+        if (existing === -1) {
+            calendarEvents.push(entry);
+        } else {
+            calendarEvents[existing] = entry;
+        }
+    });
+    refreshEvents();
+    return { imported: parsed.length - skipped, skipped };
+}
+
+function handleCalendarFile() {
+    const file = calendarFile.files[0];
+    if (!file) return;
+    file.text()
+        .then(text => {
+            const { imported, skipped } = importEvents(text);
+            return skipped ? `Imported ${imported}, skipped ${skipped}` : `Imported ${imported}`;
+        })
+        .catch(() => 'Unreadable file')
+        .then(label => {
+            calendarImport.textContent = label;
+            setTimeout(() => {
+                calendarImport.textContent = 'Import';
+            }, 2000);
+        });
+    calendarFile.value = '';
+}
+
+// -------------------------------
+// Save generated text as a file through a temporary link
+// The object URL outlives click() for a while: some browsers only start
+// reading it after the click handler returns.
+// -------------------------------
+function downloadFile(text, type, fileName) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
+
+function exportEvents() {
+    downloadFile(buildICS(calendarEvents), 'text/calendar', 'modern-clock-events.ics');
+}
+
+// -------------------------------
+// Small markers on the dial for today's timed events
+// Placed at the hour hand's angle for the event's start time.
+// -------------------------------
+function buildEventMarkers() {
+    clock.querySelectorAll('.event-marker').forEach(marker => marker.remove());
+
+    const now = getNow();
+    const today = getDateKey(getClockDate(now));
+    const radius = clock.getBoundingClientRect().width * 0.3;
+    const center = clock.getBoundingClientRect().width / 2;
+
+    getEventsForDate(today).filter(event => !event.allDay).forEach(event => {
+        const start = new Date(event.start);
+        const { hours, minutes } = getZoneParts(start, getTimeZoneOption());
+        const angleRad = (getHourAngle(hours + minutes / 60) - 90) * (Math.PI / 180);
+
+        const marker = document.createElement('div');
+        marker.className = 'event-marker';
+        marker.classList.toggle('past', start <= now);
+        marker.title = `${shortTimeFormatter.format(start)} ${event.title}`;
+        marker.style.left = `${center + radius * Math.cos(angleRad)}px`;
+        marker.style.top = `${center + radius * Math.sin(angleRad)}px`;
+        clock.appendChild(marker);
+    });
+}
+
+// -------------------------------
+// First day (UTC midnight) and length of a month in the chosen calendar
+// Non-Gregorian months don't line up with Gregorian ones, so their bounds
+// are found by stepping a day at a time until the month changes.
+// -------------------------------
+function getCalendarMonth(today, offset) {
+    const dayMs = 86400000;
+    if (settings.calendar === 'gregory') {
+        const start = Date.UTC(today.year, today.month + offset, 1);
+        const end = Date.UTC(today.year, today.month + offset + 1, 1);
+        return { start, length: Math.round((end - start) / dayMs) };
+    }
+
+    const monthFormatter = new Intl.DateTimeFormat('en-US', {
+        calendar: settings.calendar,
+        year: 'numeric',
+        month: 'numeric',
+        timeZone: 'UTC'
+    });
+    const monthOf = time => monthFormatter.format(new Date(time));
+    const monthStart = time => {
+        const month = monthOf(time);
+        while (monthOf(time - dayMs) === month) time -= dayMs;
+        return time;
+    };
+    const monthEnd = time => {
+        const month = monthOf(time);
+        while (monthOf(time + dayMs) === month) time += dayMs;
+        return time;
+    };
+
+    let start = monthStart(Date.UTC(today.year, today.month, today.day));
+    for (let i = 0; i < offset; i++) start = monthEnd(start) + dayMs;
+    for (let i = 0; i > offset; i--) start = monthStart(start - dayMs);
+    return { start, length: Math.round((monthEnd(start) - start) / dayMs) + 1 };
+}
+
+// -------------------------------
+// Build a simple monthly calendar grid
+// offset = 0 => current month, 1 => next month, -1 => previous month
+// Cells keep Gregorian 'YYYY-MM-DD' keys whatever calendar is displayed.
+// The grid follows the ARIA grid pattern: rows of gridcells with a single
+// tab stop (roving tabindex) that the arrow keys move between days.
+// -------------------------------
+function buildCalendar(offset = 0) {
+    const today = getClockDate(getNow());
+    calendarDateKey = `${today.year}-${today.month}-${today.day}`;
+    const todayKey = getDateKey(today);
+    const { start, length } = getCalendarMonth(today, offset);
+    const locale = getLocale();
+    const localeOptions = getLocaleOptions();
+    const hadFocus = calendarGrid.contains(document.activeElement);
+
+    calendarTitle.textContent = new Intl.DateTimeFormat(locale, {
+        month: 'long',
+        year: 'numeric',
+        timeZone: 'UTC',
+        ...localeOptions
+    }).format(new Date(start));
+
+    // Cells are added to rows of seven; rows use display: contents so the
+    // cells still sit directly in the CSS grid
+    let row = null;
+    const addCell = cell => {
+        if (!row || row.children.length === 7) {
+            row = document.createElement('div');
+            row.className = 'calendar-row';
+            row.setAttribute('role', 'row');
+            calendarGrid.appendChild(row);
+        }
+        row.appendChild(cell);
+    };
+
+    const firstWeekday = getFirstWeekday();
+    const weekdayFormatter = new Intl.DateTimeFormat(locale, { weekday: 'long', timeZone: 'UTC', ...localeOptions });
+    calendarGrid.innerHTML = '';
+    for (let i = 0; i < 7; i++) {
+        const weekday = (firstWeekday + i) % 7;
+        const cell = document.createElement('div');
+        cell.className = 'calendar-cell header';
+        cell.setAttribute('role', 'columnheader');
+        cell.setAttribute('aria-label', weekdayFormatter.format(new Date(Date.UTC(1970, 0, 4 + weekday))));
+        cell.textContent = weekdayNames[weekday];
+        addCell(cell);
+    }
+
+    const leading = (new Date(start).getUTCDay() - firstWeekday + 7) % 7;
+    const dayFormatter = new Intl.DateTimeFormat(locale, { day: 'numeric', timeZone: 'UTC', ...localeOptions });
+    const labelFormatter = new Intl.DateTimeFormat(locale, { dateStyle: 'full', timeZone: 'UTC', ...localeOptions });
+
+    // Leading empty cells align the first day correctly
+    for (let i = 0; i < leading; i++) {
+        const cell = document.createElement('div');
+        cell.className = 'calendar-cell';
+        cell.setAttribute('role', 'gridcell');
+        cell.textContent = '';
+        addCell(cell);
+    }
+
+    // Days that have at least one event get a dot
+    const eventDays = new Set(calendarEvents.map(getEventDateKey));
+
+    // Create each day cell and highlight today
+    const cells = [];
+    for (let i = 0; i < length; i++) {
+        const date = new Date(start + i * 86400000);
+        const dateKey = getDateKey({ year: date.getUTCFullYear(), month: date.getUTCMonth(), day: date.getUTCDate() });
+        const cell = document.createElement('button');
+        cell.type = 'button';
+        cell.className = 'calendar-cell day';
+        cell.dataset.date = dateKey;
+        cell.setAttribute('role', 'gridcell');
+        cell.tabIndex = -1;
+        // Only the day part: some locales add a suffix such as 日
+        cell.textContent = dayFormatter.formatToParts(date).find(part => part.type === 'day').value;
+        const hasEvents = eventDays.has(dateKey);
+        cell.setAttribute('aria-label', hasEvents ? `${labelFormatter.format(date)}, has events` : labelFormatter.format(date));
+        cell.setAttribute('aria-selected', String(dateKey === selectedDateKey));
+        if (dateKey === todayKey) {
+            cell.setAttribute('aria-current', 'date');
+        }
+        cell.classList.toggle('has-events', hasEvents);
+        cell.classList.toggle('selected', dateKey === selectedDateKey);
+        cell.classList.toggle('today', dateKey === todayKey);
+        addCell(cell);
+        cells.push(cell);
+    }
+
+    // The tab stop goes to the last focused day, then the selected day,
+    // then today, then the first of the month
+    const focusCell = [calendarFocusKey, selectedDateKey, todayKey]
+        .map(key => cells.find(cell => cell.dataset.date === key))
+        .find(Boolean) || cells[0];
+    focusCell.tabIndex = 0;
+    if (hadFocus) {
+        focusCell.focus();
+    }
+}
+
+// -------------------------------
+// Move keyboard focus to a day, paging the calendar to its month
+// -------------------------------
+function focusCalendarDate(time) {
+    showCalendarDate(time);
+    const cell = calendarGrid.querySelector(`[data-date="${calendarFocusKey}"]`);
+    if (cell) {
+        cell.focus();
+    }
+}
+
+// Move the calendar to the month holding `time` (UTC midnight of a day)
+// and make that day the keyboard focus target
+function showCalendarDate(time) {
+    const date = new Date(time);
+    const today = getClockDate(getNow());
+    // Step one month at a time; a day or week move never crosses more than one
+    for (let guard = 0; guard < 24; guard++) {
+        const { start, length } = getCalendarMonth(today, calendarMonthOffset);
+        if (time < start) {
+            calendarMonthOffset -= 1;
+        } else if (time >= start + length * 86400000) {
+            calendarMonthOffset += 1;
+        } else {
+            break;
+        }
+    }
+    calendarFocusKey = getDateKey({ year: date.getUTCFullYear(), month: date.getUTCMonth(), day: date.getUTCDate() });
+    buildCalendar(calendarMonthOffset);
+}
+
+// -------------------------------
+// Arrow keys move by day and week, Home/End to the week's ends,
+// Page Up/Down by month (with Shift, by year). Enter and Space select
+// the day through the button's own click.
+// -------------------------------
+function handleCalendarKeydown(event) {
+    const cell = event.target.closest('.calendar-cell.day');
+    if (!cell || event.altKey || event.ctrlKey || event.metaKey) return;
+
+    const dayMs = 86400000;
+    const [year, month, day] = cell.dataset.date.split('-').map(Number);
+    const time = Date.UTC(year, month - 1, day);
+    const weekday = (new Date(time).getUTCDay() - getFirstWeekday() + 7) % 7;
+    const steps = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -7, ArrowDown: 7, Home: -weekday, End: 6 - weekday };
+
+    if (event.key in steps) {
+        event.preventDefault();
+        focusCalendarDate(time + steps[event.key] * dayMs);
+    } else if (event.key === 'PageUp' || event.key === 'PageDown') {
+        // Keep the same position in the month, clamped to its length
+        event.preventDefault();
+        const today = getClockDate(getNow());
+        const index = Math.round((time - getCalendarMonth(today, calendarMonthOffset).start) / dayMs);
+        calendarMonthOffset += (event.key === 'PageUp' ? -1 : 1) * (event.shiftKey ? 12 : 1);
+        const target = getCalendarMonth(today, calendarMonthOffset);
+        focusCalendarDate(target.start + Math.min(index, target.length - 1) * dayMs);
+    }
+}
+
+// -------------------------------
+// Toggle focus mode to hide panels and enlarge the clock
+// -------------------------------
+function toggleFocusMode() {
+    settings.focusMode = !settings.focusMode;
+    document.body.classList.toggle('focus-mode', settings.focusMode);
+    focusToggle.textContent = settings.focusMode ? 'Exit Focus' : 'Focus Mode';
+    saveSettings();
+    if (!settings.focusMode && document.fullscreenElement) {
+        document.exitFullscreen();
+    }
+
+    // The control that was used is hidden now, so keep keyboard focus visible
+    if (document.activeElement === focusToggle || document.activeElement === focusExit || document.activeElement === focusFullscreen) {
+        (settings.focusMode ? focusExit : focusToggle).focus();
+    }
+}
+
+// -------------------------------
+// Fullscreen, offered from focus mode for always-on displays
+// Leaving focus mode also leaves fullscreen.
+// -------------------------------
+function toggleFullscreen() {
+    if (document.fullscreenElement) {
+        document.exitFullscreen();
+    } else if (document.fullscreenEnabled) {
+        document.documentElement.requestFullscreen().catch(() => {
+            // Refused (no user gesture or blocked by the embedding page); stay windowed
+        });
+    }
+}
+
+function updateFullscreenButton() {
+    focusFullscreen.hidden = !document.fullscreenEnabled;
+    focusFullscreen.textContent = document.fullscreenElement ? 'Exit Fullscreen' : 'Fullscreen';
+}
+
+// -------------------------------
+// Kiosk mode for always-on displays
+// Holds a screen wake lock while the page is visible; browsers release it
+// whenever the tab is hidden, so it is requested again on return. Static
+// parts (title, dial, center dot, readouts) drift a few pixels each minute
+// against OLED burn-in, and a dark veil dims the page at night.
+// -------------------------------
+const kioskShiftRadius = 6;     // Largest drift from the resting position in px
+const kioskShiftSteps = 8;      // Positions visited before the pattern repeats
+
+function updateWakeLock() {
+    const wanted = settings.kiosk && !document.hidden;
+    if (!wanted && wakeLock) {
+        wakeLock.release();
+        wakeLock = null;
+    } else if (wanted && !wakeLock && !wakeLockPending && 'wakeLock' in navigator) {
+        wakeLockPending = true;
+        navigator.wakeLock.request('screen').then((sentinel) => {
+            wakeLockPending = false;
+            wakeLockError = '';
+            // Kiosk mode was turned off or the tab hidden while waiting
+            if (!settings.kiosk || document.hidden) {
+                sentinel.release();
+                return;
+            }
+            wakeLock = sentinel;
+            sentinel.addEventListener('release', () => {
+                if (wakeLock === sentinel) {
+                    wakeLock = null;
+                    updateKioskStatus();
+                }
+            });
+            updateKioskStatus();
+        }, (error) => {
+            wakeLockPending = false;
+            wakeLockError = error.message || 'request refused';
+            updateKioskStatus();
+        });
+    }
+    updateKioskStatus();
+}
+
+function updateKioskStatus() {
+    let status = 'Off';
+    if (settings.kiosk && !('wakeLock' in navigator)) {
+        status = 'Wake lock not supported; the screen may sleep';
+    } else if (settings.kiosk && wakeLock) {
+        status = 'Screen kept awake';
+    } else if (settings.kiosk && wakeLockError) {
+        status = `Wake lock unavailable: ${wakeLockError}`;
+    } else if (settings.kiosk) {
+        status = 'On';
+    }
+    kioskStatus.textContent = status;
+}
+
+function isKioskNight(now) {
+    if (settings.kioskDim === 'sun') {
+        return Boolean(sunriseData) && !isSunUp(now, sunriseData);
+    }
+    if (settings.kioskDim === 'schedule') {
+        const { hours, minutes } = getZoneParts(now, getTimeZoneOption());
+        return isTimeInRange(hours * 60 + minutes, settings.kioskDimStart, settings.kioskDimEnd);
+    }
+    return false;
+}
+
+// Called once a minute and whenever the kiosk settings change
+function applyKioskMode(now) {
+    document.body.classList.toggle('kiosk', settings.kiosk);
+    document.body.classList.toggle('kiosk-night', settings.kiosk && isKioskNight(now));
+
+    // Star-shaped walk: each step jumps across the circle, alternating full
+    // and half radius, so no pixel rests on the same spot for long
+    let x = 0;
+    let y = 0;
+    if (settings.kiosk && settings.kioskShift) {
+        const step = Math.floor(now.getTime() / 60000) % kioskShiftSteps;
+        const angle = step * 135 * (Math.PI / 180);
+        const radius = step % 2 === 0 ? kioskShiftRadius : kioskShiftRadius / 2;
+        x = Math.round(Math.cos(angle) * radius);
+        y = Math.round(Math.sin(angle) * radius);
+    }
+    document.body.style.setProperty('--kiosk-shift-x', `${x}px`);
+    document.body.style.setProperty('--kiosk-shift-y', `${y}px`);
+}
+
+function updateKioskControls() {
+    kioskDimFrom.hidden = settings.kioskDim !== 'schedule';
+    kioskDimTo.hidden = settings.kioskDim !== 'schedule';
+}
+
+function handleKioskSettingsChange() {
+    settings.kiosk = kioskToggle.checked;
+    settings.kioskShift = kioskShiftToggle.checked;
+    settings.kioskDim = kioskDimSelect.value;
+    settings.kioskDimStart = kioskDimStart.value || settings.kioskDimStart;
+    settings.kioskDimEnd = kioskDimEnd.value || settings.kioskDimEnd;
+    saveSettings();
+    updateKioskControls();
+    updateWakeLock();
+    applyKioskMode(getNow());
+}
+
+// -------------------------------
+// Spoken time for screen readers
+// The live region is only written when an announcement is due (or asked
+// for), never from the render loop, so screen readers aren't interrupted
+// every second.
+// -------------------------------
+const announceIntervals = {
+    minute: 1,
+    quarter: 15,
+    hour: 60
+};
+
+function announceTime(now) {
+    const text = announceFormatter.format(now);
+    // Clear first so the same text is read again when repeated on demand
+    timeLiveRegion.textContent = '';
+    setTimeout(() => {
+        timeLiveRegion.textContent = text;
+    }, 100);
+}
+
+function checkAnnouncement(now, clockDate) {
+    const interval = announceIntervals[settings.announce];
+    if (!interval) return;
+    const { hours, minutes } = getTimeParts(now);
+    const key = `${getDateKey(clockDate)} ${hours}:${minutes}`;
+    // Settings changes rerun the minute cadence; don't repeat the minute
+    if (minutes % interval !== 0 || key === lastAnnounceKey) return;
+    lastAnnounceKey = key;
+    announceTime(now);
+}
+
+// Accessible name for the analog dial, following what the hands show
+function updateClockLabel(now) {
+    let label = `Analog clock, ${shortTimeFormatter.format(now)}`;
+    if (dialMode === 'timer') {
+        label = `Timer, ${formatDuration(getTimerRemaining())} remaining`;
+    } else if (dialMode === 'stopwatch') {
+        label = `Stopwatch, ${formatDuration(getStopwatchElapsed())} elapsed`;
+    }
+    setAttribute(clock, 'aria-label', label);
+}
+
+// -------------------------------
+// Keyboard commands
+// Every shortcut runs an entry from this table, and the command palette
+// lists them too. settings.shortcuts holds the user's rebinds by id; keys
+// are written the way getKeyCombo() reports them ('F', 'Shift+N', 'Ctrl+K').
+// -------------------------------
+const commands = [
+    { id: 'focus-mode', label: 'Toggle focus mode', key: 'F', run: toggleFocusMode },
+    { id: 'fullscreen', label: 'Toggle fullscreen', key: '', run: toggleFullscreen },
+    { id: 'dashboard', label: 'Toggle the clock dashboard', key: 'G', run: () => setDashboardMode(!settings.dashboard) },
+    { id: 'time-format', label: 'Toggle 12/24-hour time', key: 'H', run: () => formatToggle.click() },
+    { id: 'theme-next', label: 'Next theme', key: 'N', run: () => cycleTheme(1) },
+    { id: 'theme-previous', label: 'Previous theme', key: 'Shift+N', run: () => cycleTheme(-1) },
+    { id: 'calendar-previous', label: 'Calendar: previous month', key: '[', run: () => calendarPrev.click() },
+    { id: 'calendar-next', label: 'Calendar: next month', key: ']', run: () => calendarNext.click() },
+    { id: 'calendar-today', label: 'Calendar: go to today', key: 'D', run: showCalendarToday },
+    { id: 'timer-toggle', label: 'Start or stop the timer', key: 'S', run: toggleTimerRunning },
+    { id: 'timer-reset', label: 'Reset the timer or stopwatch', key: 'R', run: resetTimer },
+    { id: 'stopwatch-lap', label: 'Record a stopwatch lap', key: 'L', run: recordLap },
+    { id: 'dial-clock', label: 'Dial: clock', key: '1', run: () => setDialMode('clock') },
+    { id: 'dial-timer', label: 'Dial: timer', key: '2', run: () => setDialMode('timer') },
+    { id: 'dial-stopwatch', label: 'Dial: stopwatch', key: '3', run: () => setDialMode('stopwatch') },
+    { id: 'chime-toggle', label: 'Toggle chime', key: 'C', run: () => chimeToggle.click() },
+    { id: 'announce-time', label: 'Announce the time', key: 'T', run: () => announceTime(getNow()) },
+    { id: 'scrub', label: 'Preview another date and time', key: 'P', run: startScrub },
+    { id: 'scrub-exit', label: 'Back to now', key: '0', run: exitScrub },
+    { id: 'sync-now', label: 'Sync time now', key: '', run: runTimeSync },
+    { id: 'copy-embed', label: 'Copy embed link', key: '', run: copyEmbedLink },
+    { id: 'settings-export', label: 'Export settings', key: '', run: exportSettings },
+    { id: 'settings-import', label: 'Import settings', key: '', run: () => settingsFile.click() },
+    { id: 'settings-reset', label: 'Reset all settings', key: '', run: resetAllSettings },
+    { id: 'shortcuts', label: 'Show keyboard shortcuts', key: '?', run: openShortcutOverlay },
+    { id: 'palette', label: 'Open command palette', key: 'Ctrl+K', run: openCommandPalette }
+];
+
+// Keys that keep their usual meaning and can't be bound
+const reservedKeys = ['Tab', 'Shift+Tab', 'Enter', 'Space', 'Escape', 'Backspace', 'Delete'];
+
+function getShortcut(command) {
+    return command.id in settings.shortcuts ? settings.shortcuts[command.id] : command.key;
+}
+
+function setShortcut(id, key) {
+    const command = commands.find(item => item.id === id);
+    if (key === command.key) {
+        delete settings.shortcuts[id];
+    } else {
+        settings.shortcuts[id] = key;
+    }
+}
+
+// Name a key press as 'Ctrl+Alt+Meta+Shift+Key'; empty for a lone modifier.
+// Shift is only named for letters and named keys, since it's already part
+// of symbols such as ? and {.
+function getKeyCombo(event) {
+    if (['Control', 'Alt', 'Meta', 'Shift'].includes(event.key)) return '';
+    const parts = [];
+    if (event.ctrlKey) parts.push('Ctrl');
+    if (event.altKey) parts.push('Alt');
+    if (event.metaKey) parts.push('Meta');
+    let key = event.key;
+    if (key.length === 1) {
+        if (event.shiftKey && key.toLowerCase() !== key.toUpperCase()) parts.push('Shift');
+        key = key === ' ' ? 'Space' : key.toUpperCase();
+    } else if (event.shiftKey) {
+        parts.push('Shift');
+    }
+    parts.push(key);
+    return parts.join('+');
+}
+
+function isTypingTarget(target) {
+    if (target.tagName === 'INPUT') {
+        return !['checkbox', 'radio', 'range', 'button', 'color'].includes(target.type);
+    }
+    return target.isContentEditable || ['SELECT', 'TEXTAREA'].includes(target.tagName);
+}
+
+// -------------------------------
+// Page-wide key handling
+// Escape closes the open overlay or leaves focus mode. Other keys run the
+// bound command; plain keys are ignored while typing in a field, but
+// combinations with Ctrl, Alt or Meta work everywhere.
+// -------------------------------
+function handleShortcutKeydown(event) {
+    if (event.defaultPrevented) return;
+    if (rebindingCommand) {
+        captureShortcut(event);
+        return;
+    }
+    if (event.key === 'Escape') {
+        const overlay = [commandPalette, shortcutOverlay].find(node => !node.hidden);
+        if (overlay) {
+            event.preventDefault();
+            closeOverlay(overlay);
+        } else if (scrubTime !== null) {
+            event.preventDefault();
+            exitScrub();
+        } else if (settings.focusMode) {
+            event.preventDefault();
+            toggleFocusMode();
+            focusToggle.focus();
+        } else if (settings.dashboard) {
+            event.preventDefault();
+            setDashboardMode(false);
+            dashboardToggle.focus();
+        }
+        return;
+    }
+
+    const combo = getKeyCombo(event);
+    const command = combo && commands.find(item => getShortcut(item) === combo);
+    if (!command) return;
+    if (isTypingTarget(event.target) && !/^(Ctrl|Alt|Meta)\+/.test(combo)) return;
+    // Open overlays take the keyboard; only the palette key still works
+    if ((!commandPalette.hidden || !shortcutOverlay.hidden) && command.id !== 'palette') return;
+    event.preventDefault();
+    command.run();
+}
+
+// -------------------------------
+// Command helpers
+// -------------------------------
+function cycleTheme(direction) {
+    const options = Array.from(themeSelect.options);
+    const index = options.findIndex(option => option.value === themeSelect.value);
+    themeSelect.value = options[(index + direction + options.length) % options.length].value;
+    // Picking a theme by hand stops automatic switching, as the ?theme= parameter does
+    themeMode.value = 'fixed';
+    handleThemeChange();
+}
+
+function showCalendarToday() {
+    calendarMonthOffset = 0;
+    calendarFocusKey = getDateKey(getClockDate(getNow()));
+    buildCalendar(calendarMonthOffset);
+}
+
+// -------------------------------
+// Overlays (shortcut list and command palette)
+// Focus moves into the overlay and returns to where it was on close.
+// -------------------------------
+function openOverlay(overlay, focusTarget) {
+    // Switching straight from one overlay to the other keeps the original return point
+    const open = [commandPalette, shortcutOverlay].find(node => !node.hidden);
+    if (open) {
+        open.hidden = true;
+    } else {
+        overlayReturnFocus = document.activeElement;
+    }
+    overlay.hidden = false;
+    focusTarget.focus();
+}
+
+function closeOverlay(overlay) {
+    overlay.hidden = true;
+    rebindingCommand = null;
+    if (overlayReturnFocus && document.contains(overlayReturnFocus)) {
+        overlayReturnFocus.focus();
+    }
+    overlayReturnFocus = null;
+}
+
+// Tab and Shift+Tab cycle within the open overlay
+function keepFocusInOverlay(event) {
+    if (event.key !== 'Tab') return;
+    const focusable = Array.from(event.currentTarget.querySelectorAll('button, input'));
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (event.shiftKey && document.activeElement === first) {
+        event.preventDefault();
+        last.focus();
+    } else if (!event.shiftKey && document.activeElement === last) {
+        event.preventDefault();
+        first.focus();
+    }
+}
+
+// -------------------------------
+// Shortcut list with rebinding
+// Change waits for the next key press: Escape cancels, Backspace or
+// Delete clears the binding. A key taken by another command moves over.
+// -------------------------------
+function buildShortcutList() {
+    shortcutList.innerHTML = '';
+    commands.forEach(command => {
+        const item = document.createElement('li');
+        item.className = 'shortcut-row';
+
+        const label = document.createElement('span');
+        label.className = 'shortcut-label';
+        label.textContent = command.label;
+
+        const key = document.createElement('kbd');
+        key.className = 'shortcut-key';
+        key.textContent = rebindingCommand === command.id ? 'Press a key' : getShortcut(command) || '\u2014';
+
+        const change = document.createElement('button');
+        change.type = 'button';
+        change.className = 'ghost-button small shortcut-change';
+        change.dataset.id = command.id;
+        change.textContent = 'Change';
+        change.setAttribute('aria-label', `Change shortcut for ${command.label}`);
+
+        item.append(label, key, change);
+        shortcutList.appendChild(item);
+    });
+}
+
+function openShortcutOverlay() {
+    rebindingCommand = null;
+    shortcutHint.textContent = '';
+    buildShortcutList();
+    openOverlay(shortcutOverlay, shortcutClose);
+}
+
+function startRebinding(id) {
+    rebindingCommand = id;
+    const command = commands.find(item => item.id === id);
+    shortcutHint.textContent = `Press a key for "${command.label}". Escape cancels, Backspace clears.`;
+    buildShortcutList();
+    shortcutList.querySelector(`[data-id="${id}"]`).focus();
+}
+
+function captureShortcut(event) {
+    const combo = getKeyCombo(event);
+    if (!combo) return;
+    event.preventDefault();
+    const id = rebindingCommand;
+    const command = commands.find(item => item.id === id);
+
+    if (combo === 'Escape') {
+        shortcutHint.textContent = '';
+    } else if (combo === 'Backspace' || combo === 'Delete') {
+        setShortcut(id, '');
+        shortcutHint.textContent = `"${command.label}" has no shortcut.`;
+    } else if (reservedKeys.includes(combo)) {
+        shortcutHint.textContent = `${combo} can't be used as a shortcut.`;
+        return;
+    } else {
+        const previous = commands.find(item => item.id !== id && getShortcut(item) === combo);
+        if (previous) {
+            setShortcut(previous.id, '');
+        }
+        setShortcut(id, combo);
+        shortcutHint.textContent = previous
+            ? `${combo} now runs "${command.label}" instead of "${previous.label}".`
+            : `${combo} now runs "${command.label}".`;
+    }
+
+    rebindingCommand = null;
+    saveSettings();
+    buildShortcutList();
+    shortcutList.querySelector(`[data-id="${id}"]`).focus();
+}
+
+function resetShortcuts() {
+    settings.shortcuts = {};
+    rebindingCommand = null;
+    shortcutHint.textContent = 'Shortcuts reset to the defaults.';
+    saveSettings();
+    buildShortcutList();
+}
+
+// -------------------------------
+// Command palette
+// Searches the commands above plus every option of the main settings
+// selects and toggles; settings are changed through their own controls
+// so the usual change handlers run.
+// -------------------------------
+const paletteSelects = [
+    [timezoneSelect, 'Time zone'],
+    [themeSelect, 'Theme'],
+    [themeMode, 'Theme mode'],
+    [dialStyleSelect, 'Dial style'],
+    [localeSelect, 'Language'],
+    [calendarSystemSelect, 'Calendar'],
+    [numberingSelect, 'Digits'],
+    [weekStartSelect, 'Week starts'],
+    [announceSelect, 'Announce'],
+    [chimePatternSelect, 'Chime pattern'],
+    [locationMode, 'Location'],
+    [locationCity, 'City']
+];
+
+const paletteToggles = [
+    [formatToggle, '24-hour time'],
+    [smoothToggle, 'Smooth seconds'],
+    [chimeToggle, 'Chime'],
+    [quietToggle, 'Quiet hours'],
+    [ambientToggle, 'Ambient'],
+    [syncToggle, 'Time sync'],
+    [kioskToggle, 'Kiosk mode']
+];
+
+function getPaletteSources() {
+    const entries = commands
+        .filter(command => command.id !== 'palette')
+        .map(command => ({
+            label: command.label,
+            detail: getShortcut(command),
+            run: command.run,
+            command: true
+        }));
+    paletteToggles.forEach(([toggle, name]) => {
+        entries.push({
+            label: `${name}: ${toggle.checked ? 'off' : 'on'}`,
+            detail: 'Setting',
+            run: () => toggle.click()
+        });
+    });
+    paletteSelects.forEach(([select, name]) => {
+        Array.from(select.options).forEach(option => {
+            entries.push({
+                label: `${name}: ${option.textContent}`,
+                detail: option.value === select.value ? 'Current' : 'Setting',
+                run: () => {
+                    select.value = option.value;
+                    select.dispatchEvent(new Event('change'));
+                }
+            });
+        });
+    });
+    return entries;
+}
+
+// Every query character must appear in order. Consecutive characters and
+// word starts score higher, so "tz par" ranks "Time zone: Europe/Paris" first.
+function fuzzyScore(query, text) {
+    const source = text.toLowerCase();
+    let score = 0;
+    let position = 0;
+    let streak = 0;
+    for (const char of query.toLowerCase().replace(/\s+/g, '')) {
+        const index = source.indexOf(char, position);
+        if (index === -1) return -1;
+        streak = index === position ? streak + 1 : 0;
+        score += 1 + streak * 2 + (index === 0 || /[\s:/_(-]/.test(source[index - 1]) ? 3 : 0);
+        position = index + 1;
+    }
+    // Shorter labels win ties
+    return score - source.length / 100;
+}
+
+function updatePaletteResults() {
+    const query = paletteSearch.value.trim();
+    const sources = getPaletteSources();
+    paletteEntries = query
+        ? sources
+            .map(entry => ({ entry, score: fuzzyScore(query, entry.label) }))
+            .filter(result => result.score >= 0)
+            .sort((a, b) => b.score - a.score)
+            .map(result => result.entry)
+        : sources.filter(entry => entry.command);
+    paletteEntries = paletteEntries.slice(0, 50);
+    paletteIndex = 0;
+    buildPaletteResults();
+}
+
+function buildPaletteResults() {
+    paletteResults.innerHTML = '';
+    paletteEntries.forEach((entry, index) => {
+        const option = document.createElement('li');
+        option.className = 'palette-option';
+        option.id = `paletteOption${index}`;
+        option.dataset.index = index;
+        option.setAttribute('role', 'option');
+        option.setAttribute('aria-selected', String(index === paletteIndex));
+
+        const label = document.createElement('span');
+        label.textContent = entry.label;
+        option.appendChild(label);
+        if (entry.detail) {
+            const detail = document.createElement('span');
+            detail.className = 'palette-detail';
+            detail.textContent = entry.detail;
+            option.appendChild(detail);
+        }
+        paletteResults.appendChild(option);
+    });
+
+    if (paletteEntries.length) {
+        paletteSearch.setAttribute('aria-activedescendant', `paletteOption${paletteIndex}`);
+        paletteResults.children[paletteIndex].scrollIntoView({ block: 'nearest' });
+    } else {
+        paletteSearch.removeAttribute('aria-activedescendant');
+        const empty = document.createElement('li');
+        empty.className = 'palette-empty';
+        empty.textContent = 'No matching commands';
+        paletteResults.appendChild(empty);
+    }
+}
+
+function openCommandPalette() {
+    paletteSearch.value = '';
+    updatePaletteResults();
+    openOverlay(commandPalette, paletteSearch);
+}
+
+function runPaletteEntry(index) {
+    const entry = paletteEntries[index];
+    if (!entry) return;
+    closeOverlay(commandPalette);
+    entry.run();
+}
+
+function handlePaletteKeydown(event) {
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+        event.preventDefault();
+        if (!paletteEntries.length) return;
+        const step = event.key === 'ArrowDown' ? 1 : -1;
+        paletteIndex = (paletteIndex + step + paletteEntries.length) % paletteEntries.length;
+        buildPaletteResults();
+    } else if (event.key === 'Enter') {
+        event.preventDefault();
+        runPaletteEntry(paletteIndex);
+    }
+}
+
+// -------------------------------
+// Apply a gentle ambient hue-shift when enabled
+// -------------------------------
+function applyAmbientMode() {
+    if (!settings.ambient) {
+        document.body.style.filter = '';
+        return;
+    }
+    ambientPhase = (ambientPhase + 0.002) % 1;
+    const hue = 200 + Math.sin(ambientPhase * Math.PI * 2) * 20;
+    document.body.style.filter = `hue-rotate(${hue}deg) brightness(0.95)`;
+}
+
+// -------------------------------
+// Start and length of the current calendar day in a zone setting
+// Days are 23 or 25 hours long across DST changes, so the ring scales to fit.
+// Cached per zone (one day each) for the main clock and dashboard faces.
+// -------------------------------
+const zoneDayBounds = new Map();
+
+function getZoneDayBounds(now, zoneSetting) {
+    const zone = resolveTimeZone(zoneSetting);
+    const { year, month, day } = getZoneParts(now, zone);
+    const key = getDateKey({ year, month, day });
+    let bounds = zoneDayBounds.get(zoneSetting);
+    if (!bounds || bounds.key !== key) {
+        const next = new Date(Date.UTC(year, month, day + 1));
+        const start = getZonedInstant(year, month, day, 0, 0, zone).getTime();
+        const end = getZonedInstant(next.getUTCFullYear(), next.getUTCMonth(), next.getUTCDate(), 0, 0, zone).getTime();
+        bounds = { key, start, duration: end - start };
+        zoneDayBounds.set(zoneSetting, bounds);
+    }
+    return bounds;
+}
+
+// -------------------------------
+// Built-in city table for offline location picking
+// -------------------------------
+const cities = [
+    { name: 'Amsterdam', latitude: 52.37, longitude: 4.9 },
+    { name: 'Athens', latitude: 37.98, longitude: 23.73 },
+    { name: 'Auckland', latitude: -36.85, longitude: 174.76 },
+    { name: 'Bangalore', latitude: 12.97, longitude: 77.59 },
+    { name: 'Bangkok', latitude: 13.76, longitude: 100.5 },
+    { name: 'Beijing', latitude: 39.9, longitude: 116.41 },
+    { name: 'Berlin', latitude: 52.52, longitude: 13.4 },
+    { name: 'Bogota', latitude: 4.71, longitude: -74.07 },
+    { name: 'Buenos Aires', latitude: -34.6, longitude: -58.38 },
+    { name: 'Cairo', latitude: 30.04, longitude: 31.24 },
+    { name: 'Cape Town', latitude: -33.92, longitude: 18.42 },
+    { name: 'Chicago', latitude: 41.88, longitude: -87.63 },
+    { name: 'Delhi', latitude: 28.61, longitude: 77.21 },
+    { name: 'Denver', latitude: 39.74, longitude: -104.99 },
+    { name: 'Dubai', latitude: 25.2, longitude: 55.27 },
+    { name: 'Dublin', latitude: 53.35, longitude: -6.26 },
+    { name: 'Helsinki', latitude: 60.17, longitude: 24.94 },
+    { name: 'Hong Kong', latitude: 22.32, longitude: 114.17 },
+    { name: 'Honolulu', latitude: 21.31, longitude: -157.86 },
+    { name: 'Istanbul', latitude: 41.01, longitude: 28.98 },
+    { name: 'Jakarta', latitude: -6.21, longitude: 106.85 },
+    { name: 'Johannesburg', latitude: -26.2, longitude: 28.05 },
+    { name: 'Lagos', latitude: 6.52, longitude: 3.38 },
+    { name: 'Lima', latitude: -12.05, longitude: -77.04 },
+    { name: 'Lisbon', latitude: 38.72, longitude: -9.14 },
+    { name: 'London', latitude: 51.51, longitude: -0.13 },
+    { name: 'Los Angeles', latitude: 34.05, longitude: -118.24 },
+    { name: 'Madrid', latitude: 40.42, longitude: -3.7 },
+    { name: 'Mexico City', latitude: 19.43, longitude: -99.13 },
+    { name: 'Moscow', latitude: 55.76, longitude: 37.62 },
+    { name: 'Mumbai', latitude: 19.08, longitude: 72.88 },
+    { name: 'Nairobi', latitude: -1.29, longitude: 36.82 },
+    { name: 'New York', latitude: 40.71, longitude: -74.01 },
+    { name: 'Oslo', latitude: 59.91, longitude: 10.75 },
+    { name: 'Paris', latitude: 48.86, longitude: 2.35 },
+    { name: 'Reykjavik', latitude: 64.15, longitude: -21.94 },
+    { name: 'Rome', latitude: 41.9, longitude: 12.5 },
+    { name: 'San Francisco', latitude: 37.77, longitude: -122.42 },
+    { name: 'Santiago', latitude: -33.45, longitude: -70.67 },
+    { name: 'Sao Paulo', latitude: -23.55, longitude: -46.63 },
+    { name: 'Seoul', latitude: 37.57, longitude: 126.98 },
+    { name: 'Shanghai', latitude: 31.23, longitude: 121.47 },
+    { name: 'Singapore', latitude: 1.35, longitude: 103.82 },
+    { name: 'Stockholm', latitude: 59.33, longitude: 18.07 },
+    { name: 'Sydney', latitude: -33.87, longitude: 151.21 },
+    { name: 'Tokyo', latitude: 35.68, longitude: 139.69 },
+    { name: 'Toronto', latitude: 43.65, longitude: -79.38 },
+    { name: 'Vancouver', latitude: 49.28, longitude: -123.12 },
+    { name: 'Vienna', latitude: 48.21, longitude: 16.37 },
+    { name: 'Zurich', latitude: 47.38, longitude: 8.54 }
+];
+
+// -------------------------------
+// Resolve the sun location from settings
+// Auto mode asks the browser for a position; the other modes are offline.
+// -------------------------------
+function isValidCoordinate(value, limit) {
+    return typeof value === 'number' && Number.isFinite(value) && Math.abs(value) <= limit;
+}
+
+function refreshSunData() {
+    if (settings.locationMode === 'city') {
+        const city = cities.find(item => item.name === settings.locationCity) || cities[0];
+        setSunLocation({ latitude: city.latitude, longitude: city.longitude, label: city.name });
+        return;
+    }
+
+    if (settings.locationMode === 'manual') {
+        if (isValidCoordinate(settings.latitude, 90) && isValidCoordinate(settings.longitude, 180)) {
+            setSunLocation({
+                latitude: settings.latitude,
+                longitude: settings.longitude,
+                label: `${settings.latitude.toFixed(2)}, ${settings.longitude.toFixed(2)}`
+            });
+        } else {
+            setSunLocation(null, 'Enter a latitude (-90 to 90) and longitude (-180 to 180).');
+        }
+        return;
+    }
+
+    if (!navigator.geolocation) {
+        setSunLocation(null, 'Geolocation is not available. Pick a city or enter coordinates.');
+        return;
+    }
+    navigator.geolocation.getCurrentPosition(
+        (pos) => {
+            const { latitude, longitude } = pos.coords;
+            setSunLocation({ latitude, longitude, label: 'Device location' });
+        },
+        () => {
+            setSunLocation(null, 'Location permission denied. Pick a city or enter coordinates.');
+        },
+        { maximumAge: 3600000, timeout: 6000 }
+    );
+}
+
+function setSunLocation(location, message = '') {
+    sunLocation = location;
+    locationStatus.textContent = message || location.label;
+    updateSunData();
+}
+
+// -------------------------------
+// Recompute sun events for the clock's current date
+// Runs when the location changes, the clock zone changes, or the date rolls over.
+// -------------------------------
+function updateSunData() {
+    const today = getClockDate(getNow());
+    sunriseDateKey = getDateKey(today);
+    sunriseData = sunLocation
+        ? calcSunTimes(new Date(Date.UTC(today.year, today.month, today.day)), sunLocation.latitude, sunLocation.longitude)
+        : null;
+    updateSolarPanel();
+    updateSunRing(getNow());
+}
+
+// -------------------------------
+// Solar info panel: event times in the clock's time zone
+// -------------------------------
+function formatSunTime(date) {
+    return date ? shortTimeFormatter.format(date) : '\u2014';
+}
+
+// Twilight ranges run from dawn to dusk; polar states get a word instead
+function formatSunRange(event) {
+    if (event.state === 'always-up') return 'All night';
+    if (event.state === 'always-down') return 'None';
+    return `${formatSunTime(event.start)} \u2013 ${formatSunTime(event.end)}`;
+}
+
+function updateSolarPanel() {
+    solarDetails.innerHTML = '';
+    if (!sunriseData) return;
+
+    const hours = Math.floor(sunriseData.dayLength / 3600000);
+    const minutes = Math.floor(sunriseData.dayLength / 60000) % 60;
+    const polar = { 'always-up': 'Polar day', 'always-down': 'Polar night' }[sunriseData.state];
+    const rows = [
+        ['Sunrise', polar || formatSunTime(sunriseData.sunrise)],
+        ['Sunset', polar || formatSunTime(sunriseData.sunset)],
+        ['Solar Noon', formatSunTime(sunriseData.solarNoon)],
+        ['Day Length', `${hours}h ${String(minutes).padStart(2, '0')}m`],
+        ['Civil Twilight', formatSunRange(sunriseData.civil)],
+        ['Nautical Twilight', formatSunRange(sunriseData.nautical)],
+        ['Astronomical Twilight', formatSunRange(sunriseData.astronomical)]
+    ];
+
+    rows.forEach(([label, value]) => {
+        const term = document.createElement('dt');
+        term.textContent = label;
+        const detail = document.createElement('dd');
+        detail.textContent = value;
+        solarDetails.append(term, detail);
+    });
+}
+
+// -------------------------------
+// Location controls: show the inputs for the chosen mode and apply them
+// -------------------------------
+function buildLocationOptions() {
+    cities.forEach(city => {
+        const option = document.createElement('option');
+        option.value = city.name;
+        option.textContent = city.name;
+        locationCity.appendChild(option);
+    });
+}
+
+function updateLocationInputs() {
+    locationCity.hidden = settings.locationMode !== 'city';
+    locationLatitude.hidden = settings.locationMode !== 'manual';
+    locationLongitude.hidden = settings.locationMode !== 'manual';
+}
+
+function handleLocationChange() {
+    const parse = input => (input.value.trim() === '' ? null : Number(input.value));
+    settings.locationMode = locationMode.value;
+    settings.locationCity = locationCity.value;
+    settings.latitude = parse(locationLatitude);
+    settings.longitude = parse(locationLongitude);
+    saveSettings();
+    updateLocationInputs();
+    refreshSunData();
+}
+
+// -------------------------------
+// Update the sun arc and indicator based on sunrise/sunset times
+// -------------------------------
+function updateSunRing(now) {
+    drawSunRing(mainFace, now, sunriseData);
+}
+
+function drawSunRing(face, now, sunData) {
+    if (!sunData) {
         // Without location data, fade the sun UI to a subtle state
-        sunArc.style.opacity = '0.2';
-        sunIndicator.style.opacity = '0.2';
+        setStyle(face.sunArc, 'opacity', '0.2');
+        setStyle(face.sunIndicator, 'opacity', '0.2');
         return;
     }
 
-    const { sunrise, sunset } = sunriseData;
-    const dayStart = getLocalMidnight(now);
-    const dayDuration = 24 * 60 * 60 * 1000;
-    const sunrisePct = ((sunrise - dayStart) / dayDuration) * 360;
-    const sunsetPct = ((sunset - dayStart) / dayDuration) * 360;
+    // Angles are measured around the face's day in its own time zone, and
+    // wrap, so events from the neighbouring day still land on the ring.
+    const { start: dayStart, duration: dayDuration } = getZoneDayBounds(now, face.zone);
+    const toDeg = date => ((((date - dayStart) / dayDuration) * 360) % 360 + 360) % 360;
+
+    // Bands from weakest to strongest; the strongest band covering an angle wins
+    const bands = [
+        { event: sunData.astronomical, color: 'var(--twilight-astronomical)' },
+        { event: sunData.nautical, color: 'var(--twilight-nautical)' },
+        { event: sunData.civil, color: 'var(--twilight-civil)' },
+        { event: { state: sunData.state, start: sunData.sunrise, end: sunData.sunset }, color: 'var(--ring-fill)' }
+    ].map(({ event, color }) => {
+        if (event.state === 'always-up') return { full: true, color };
+        if (event.state === 'always-down') return null;
+        return { from: toDeg(event.start), to: toDeg(event.end), color };
+    }).filter(Boolean);
+
+    const covers = (band, deg) => {
+        if (band.full) return true;
+        return band.from <= band.to ? deg >= band.from && deg < band.to : deg >= band.from || deg < band.to;
+    };
+
+    const edges = [0, 360];
+    bands.forEach(band => {
+        if (!band.full) edges.push(band.from, band.to);
+    });
+    const sorted = [...new Set(edges)].sort((a, b) => a - b);
+
+    const stops = [];
+    for (let i = 0; i < sorted.length - 1; i++) {
+        const mid = (sorted[i] + sorted[i + 1]) / 2;
+        const band = bands.filter(item => covers(item, mid)).pop();
+        stops.push(`${band ? band.color : 'transparent'} ${sorted[i]}deg ${sorted[i + 1]}deg`);
+    }
+
+    // Conic gradient creates the highlighted day arc
+    setStyle(face.sunArc, 'opacity', '1');
+    setStyle(face.sunIndicator, 'opacity', '1');
+    const rotation = getSunRingRotation(getDialStyle(face.dialStyle));
+    setStyle(face.sunArc, 'background', `conic-gradient(from ${rotation}deg, ${stops.join(', ')})`);
+
+    const nowPct = toDeg(now);
+    const indicatorAngle = nowPct + rotation;
+    setStyle(face.sunIndicator, 'transform', `translate(-50%, -50%) rotate(${indicatorAngle}deg) translate(0, -${face.sunRadius}px)`);
+}
+
+// -------------------------------
+// Update the seconds progress ring using a conic gradient
+// -------------------------------
+function updateSecondsRing(face, seconds, milliseconds) {
+    const progress = (seconds + milliseconds / 1000) / 60;
+    const deg = Math.floor(progress * 360);
+    setStyle(face.secondsRing, 'background', `conic-gradient(var(--accent) ${deg}deg, rgba(245, 247, 251, 0.08) ${deg}deg)`);
+}
+
+// -------------------------------
+// Dirty-checked DOM writes
+// The render loop runs every frame, so text and styles are only written
+// when the value differs from the last one written through these helpers.
+// -------------------------------
+const renderCache = new WeakMap();
+
+function getRenderState(node) {
+    let state = renderCache.get(node);
+    if (!state) {
+        state = {};
+        renderCache.set(node, state);
+    }
+    return state;
+}
+
+function setText(node, text) {
+    const state = getRenderState(node);
+    if (state.text === text) return;
+    state.text = text;
+    node.textContent = text;
+    if (perfStats) perfStats.writes++;
+}
 
-    // Conic gradient creates the highlighted day arc
-    sunArc.style.background = `conic-gradient(from -90deg,
-        rgba(245, 158, 11, 0.0) 0deg,
-        var(--ring-fill) ${sunrisePct}deg,
-        var(--ring-fill) ${sunsetPct}deg,
-        rgba(245, 158, 11, 0.0) ${sunsetPct}deg
-    )`;
+function setAttribute(node, name, value) {
+    const state = getRenderState(node);
+    if (state[name] === value) return;
+    state[name] = value;
+    node.setAttribute(name, value);
+    if (perfStats) perfStats.writes++;
+}
 
-    const nowPct = ((now - dayStart) / dayDuration) * 360;
-    const indicatorAngle = nowPct - 90;
-    const radius = getComputedStyle(clock).getPropertyValue('--sun-radius') || '164px';
-    sunIndicator.style.transform = `translate(-50%, -50%) rotate(${indicatorAngle}deg) translate(0, -${radius.trim()})`;
+function setStyle(node, property, value) {
+    const state = getRenderState(node);
+    if (state[property] === value) return;
+    state[property] = value;
+    node.style[property] = value;
+    if (perfStats) perfStats.writes++;
+}
+
+// Force every cadence to run on the next update (after settings changes)
+function invalidateClock() {
+    lastTickKey = '';
+    lastSecondKey = '';
+    lastMinuteKey = '';
 }
 
 // -------------------------------
-// Update the seconds progress ring using a conic gradient
+// Render from a different time source; call with no argument for live time.
+// The calendar returns to the month of the new "today".
 // -------------------------------
-function updateSecondsRing(seconds, milliseconds) {
-    const progress = (seconds + milliseconds / 1000) / 60;
-    const deg = Math.floor(progress * 360);
-    secondsRing.style.background = `conic-gradient(var(--accent) ${deg}deg, rgba(245, 247, 251, 0.08) ${deg}deg)`;
+function setTimeSource(source = liveTimeSource) {
+    timeSource = source;
+    calendarMonthOffset = 0;
+    invalidateClock();
+    updateClock();
+}
+
+// -------------------------------
+// Scrub mode: preview the whole UI at another instant
+// Pick a date and time in the banner, or drag the hour hand, minute hand
+// or sun indicator around the dial.
+// -------------------------------
+function setScrubTime(time) {
+    const entering = scrubTime === null;
+    scrubTime = Math.round(time);
+    document.body.classList.add('scrubbing');
+    scrubBanner.hidden = false;
+    updateScrubInput();
+    if (entering) {
+        setTimeSource(scrubTimeSource);
+    } else {
+        invalidateClock();
+        updateClock();
+    }
+}
+
+function exitScrub() {
+    if (scrubTime === null) return;
+    scrubTime = null;
+    scrubDrag = null;
+    document.body.classList.remove('scrubbing');
+    scrubBanner.hidden = true;
+    setTimeSource(liveTimeSource);
+}
+
+function startScrub() {
+    setScrubTime(getNow().getTime());
+    scrubInput.focus();
+}
+
+// The picker shows wall time in the clock's time zone
+function updateScrubInput() {
+    if (scrubTime === null) return;
+    const parts = getZoneParts(new Date(scrubTime), getTimeZoneOption());
+    const pad = value => String(value).padStart(2, '0');
+    scrubInput.value = `${parts.year}-${pad(parts.month + 1)}-${pad(parts.day)}T${pad(parts.hours)}:${pad(parts.minutes)}`;
+}
+
+function handleScrubInput() {
+    const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})/.exec(scrubInput.value);
+    if (!match) return;
+    const [year, month, day, hours, minutes] = match.slice(1).map(Number);
+    setScrubTime(getZonedInstant(year, month - 1, day, hours, minutes, getTimeZoneOption()).getTime());
+}
+
+// Angle of a pointer around the dial center, clockwise from 12 o'clock
+function getPointerAngle(event) {
+    const rect = clock.getBoundingClientRect();
+    const x = event.clientX - (rect.left + rect.width / 2);
+    const y = event.clientY - (rect.top + rect.height / 2);
+    return { angle: (Math.atan2(x, -y) * 180 / Math.PI + 360) % 360, distance: Math.hypot(x, y) };
+}
+
+// Pick the nearest draggable: the sun indicator near the sun ring, otherwise
+// whichever hand points closest to the pointer. Each one scrubs by its own
+// period per full turn.
+function startScrubDrag(event) {
+    if (dialMode !== 'clock' || event.button > 0) return;
+    const { angle, distance } = getPointerAngle(event);
+    const now = getNow();
+    const { hours, minutes, seconds } = getTimeParts(now);
+    const angleGap = target => Math.abs(((angle - target) % 360 + 540) % 360 - 180);
+
+    let period = null;
+    if (sunriseData && Math.abs(distance - mainFace.sunRadius) < 16) {
+        period = 86400000;
+    } else if (angleGap((minutes + seconds / 60) * 6) < 15) {
+        period = 3600000;
+    } else if (angleGap(getHourAngle(hours + minutes / 60)) < 15) {
+        period = getDialStyle().hours * 3600000;
+    }
+    if (!period) return;
+
+    event.preventDefault();
+    clock.setPointerCapture(event.pointerId);
+    clock.classList.add('dragging');
+    scrubDrag = { period, angle };
+    setScrubTime(now.getTime());
+}
+
+function moveScrubDrag(event) {
+    if (!scrubDrag) return;
+    const { angle } = getPointerAngle(event);
+    // Shortest way round, so crossing 12 o'clock carries into the next turn
+    const delta = ((angle - scrubDrag.angle) % 360 + 540) % 360 - 180;
+    scrubDrag.angle = angle;
+    setScrubTime(scrubTime + (delta / 360) * scrubDrag.period);
+}
+
+function endScrubDrag() {
+    scrubDrag = null;
+    clock.classList.remove('dragging');
+}
+
+// -------------------------------
+// Time sync: measure the offset from a time server and correct live time
+// Each sync sends a short burst of requests and keeps the one with the
+// shortest round trip. Small corrections are slewed in gradually; large
+// ones step at once (see timesync.js). A jump in the system clock (manual
+// change, waking from sleep) redraws at once and triggers a fresh sync.
+// -------------------------------
+const syncBurstSize = 3;            // Requests per sync
+const syncRequestTimeout = 5000;    // ms before a request is abandoned
+const syncRetryDelay = 60000;       // ms before retrying a failed sync
+const clockJumpThreshold = 1000;    // Wall vs monotonic difference treated as a jump
+
+const syncState = {
+    status: 'off',      // 'off', 'syncing', 'ok' or 'error'
+    message: '',        // Error shown while status is 'error'
+    run: 0,             // Increments per sync so stale responses are ignored
+    slew: null,         // Correction in progress, from planCorrection()
+    offset: null,       // Last measured server offset in ms
+    roundTrip: null,    // Round trip of the sample behind that offset
+    lastSync: null,     // performance.now() of the last successful sync
+    drift: null,        // Local clock gain in seconds per day, between syncs
+    driftBase: null,    // { offset, monotonic } drift is measured from
+    lastCheck: null,    // { wall, monotonic } from the last jump check
+    timerId: null       // Pending scheduled sync
+};
+
+const syncDetailRows = {};  // Detail <dd> nodes by key, built once
+
+// Correction currently applied to Date.now(), in ms
+function getClockCorrection() {
+    return getSlewedOffset(syncState.slew, performance.now());
+}
+
+function requestTimeSample(url) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), syncRequestTimeout);
+    const sentAt = Date.now();
+    const started = performance.now();
+
+    return fetch(url, { cache: 'no-store', signal: controller.signal }).then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.text().then(body => {
+            const roundTrip = performance.now() - started;
+            const serverTime = parseServerTime(body, response.headers.get('Date'));
+            if (serverTime === null) {
+                // Cross-origin responses hide the Date header unless the server exposes it
+                const hidden = response.type === 'cors' && !response.headers.has('Date');
+                throw new Error(hidden ? 'No time in body; Date header not exposed' : 'No time in response');
+            }
+            return measureOffset(sentAt, roundTrip, serverTime);
+        });
+    }).finally(() => clearTimeout(timeoutId));
+}
+
+function runTimeSync() {
+    clearTimeout(syncState.timerId);
+    syncState.timerId = null;
+    const run = ++syncState.run;
+    if (!settings.syncEnabled) {
+        syncState.status = 'off';
+        updateSyncStatus();
+        return;
+    }
+    if (!settings.syncUrl) {
+        setSyncError('No server URL');
+        return;
+    }
+
+    syncState.status = 'syncing';
+    updateSyncStatus();
+
+    // Requests go one after another so they don't queue behind each other
+    const samples = [];
+    let lastError = null;
+    let burst = Promise.resolve();
+    for (let i = 0; i < syncBurstSize; i++) {
+        burst = burst
+            .then(() => requestTimeSample(settings.syncUrl))
+            .then(sample => samples.push(sample), error => { lastError = error; });
+    }
+    burst.then(() => {
+        if (run !== syncState.run) return;
+        if (!samples.length) {
+            const timedOut = lastError && lastError.name === 'AbortError';
+            setSyncError(timedOut ? 'Timed out' : (lastError && lastError.message) || 'Failed');
+            return;
+        }
+        applySyncSample(pickBestSample(samples));
+        scheduleTimeSync(settings.syncInterval * 60000);
+    });
+}
+
+function applySyncSample(sample) {
+    const now = performance.now();
+    const current = getClockCorrection();
+    syncState.slew = planCorrection(current, sample.offset, now);
+    if (syncState.slew.from !== current) {
+        // Stepped: redraw everything that shows the time
+        invalidateClock();
+        updateClock();
+    }
+
+    // Drift is how much the offset changed per day of monotonic time
+    if (!syncState.driftBase) {
+        syncState.driftBase = { offset: sample.offset, monotonic: now };
+    } else if (now - syncState.driftBase.monotonic >= 60000) {
+        syncState.drift = -(sample.offset - syncState.driftBase.offset) / (now - syncState.driftBase.monotonic) * 86400;
+    }
+
+    syncState.offset = sample.offset;
+    syncState.roundTrip = sample.roundTrip;
+    syncState.lastSync = now;
+    syncState.status = 'ok';
+    syncState.message = '';
+    updateSyncStatus();
+}
+
+function setSyncError(message) {
+    syncState.status = 'error';
+    syncState.message = message;
+    updateSyncStatus();
+    scheduleTimeSync(Math.min(syncRetryDelay, settings.syncInterval * 60000));
+}
+
+function scheduleTimeSync(delay) {
+    clearTimeout(syncState.timerId);
+    syncState.timerId = settings.syncEnabled ? setTimeout(runTimeSync, delay) : null;
+}
+
+// Turning sync off eases the correction back to the system clock
+function handleSyncSettingsChange() {
+    const wasEnabled = settings.syncEnabled;
+    settings.syncEnabled = syncToggle.checked;
+    // Anything the schema wouldn't load back keeps the previous URL
+    const url = syncUrlInput.value.trim();
+    if (!validateSettings({ syncUrl: url }).rejected.length) {
+        settings.syncUrl = url;
+    }
+    syncUrlInput.value = settings.syncUrl;
+    settings.syncInterval = Number(syncIntervalSelect.value);
+    saveSettings();
+
+    if (wasEnabled && !settings.syncEnabled) {
+        syncState.slew = planCorrection(getClockCorrection(), 0, performance.now());
+        syncState.offset = null;
+        syncState.driftBase = null;
+        syncState.drift = null;
+        invalidateClock();
+    }
+    updateSyncControls();
+    runTimeSync();
+}
+
+function updateSyncControls() {
+    syncInfo.hidden = !settings.syncEnabled;
+    syncSeparator.hidden = !settings.syncEnabled;
+    syncNow.disabled = !settings.syncEnabled;
+}
+
+// Called once per second; the monotonic clock keeps the age honest
+function checkClockJump() {
+    const wall = Date.now();
+    const monotonic = performance.now();
+    const jump = getClockJump(syncState.lastCheck, wall, monotonic);
+    syncState.lastCheck = { wall, monotonic };
+    if (Math.abs(jump) < clockJumpThreshold) return;
+
+    // The measured offset no longer applies to the new system clock
+    syncState.driftBase = null;
+    invalidateClock();
+    if (!document.hidden) {
+        updateClock();
+    }
+    if (settings.syncEnabled) {
+        runTimeSync();
+    }
+}
+
+function formatSyncOffset(ms) {
+    const sign = ms < 0 ? '-' : '+';
+    const abs = Math.abs(ms);
+    return abs < 1000 ? `${sign}${Math.round(abs)} ms` : `${sign}${(abs / 1000).toFixed(1)} s`;
+}
+
+function formatSyncAge(ms) {
+    const minutes = Math.floor(ms / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    return `${Math.floor(minutes / 60)} h ago`;
+}
+
+function buildSyncDetails() {
+    const rows = [
+        ['status', 'Status'],
+        ['offset', 'Offset'],
+        ['correction', 'Applied'],
+        ['roundTrip', 'Round Trip'],
+        ['lastSync', 'Last Sync'],
+        ['drift', 'Local Drift']
+    ];
+    syncDetails.innerHTML = '';
+    rows.forEach(([key, label]) => {
+        const term = document.createElement('dt');
+        term.textContent = label;
+        const detail = document.createElement('dd');
+        syncDetailRows[key] = detail;
+        syncDetails.append(term, detail);
+    });
+}
+
+function updateSyncStatus() {
+    const labels = { off: 'Off', syncing: 'Syncing\u2026', ok: 'Synced', error: syncState.message };
+    const status = labels[syncState.status];
+    const offset = syncState.offset === null ? '\u2014' : formatSyncOffset(syncState.offset);
+    const age = syncState.lastSync === null ? 'never' : formatSyncAge(performance.now() - syncState.lastSync);
+
+    setText(syncStatus, status);
+    syncStatus.classList.toggle('error', syncState.status === 'error');
+    setText(syncMeta, syncState.lastSync === null ? '' : `${offset} \u00b7 ${age}`);
+
+    if (!syncDetailRows.status) return;
+    setText(syncDetailRows.status, status);
+    setText(syncDetailRows.offset, offset);
+    setText(syncDetailRows.correction, formatSyncOffset(getClockCorrection()));
+    setText(syncDetailRows.roundTrip, syncState.roundTrip === null ? '\u2014' : `${Math.round(syncState.roundTrip)} ms`);
+    setText(syncDetailRows.lastSync, age);
+    setText(syncDetailRows.drift, syncState.drift === null ? '\u2014' : `${formatSyncOffset(syncState.drift * 1000)} / day`);
 }
 
 // -------------------------------
 // Main render loop: updates hands, labels, panels, and effects
+// Work runs at three cadences: hands and rings every frame, text and
+// checks once per second, panels and rings that move slowly once per minute.
 // -------------------------------
 function updateClock() {
-    const now = new Date();
+    const now = getNow();
     const { hours, minutes, seconds, milliseconds } = getTimeParts(now);
-    const tickKey = `${hours}:${minutes}:${seconds}`;
-    const todayKey = now.toDateString();
+
+    // Timer and stopwatch modes drive the hands from a duration instead
+    checkTimer();
+    const dial = dialMode === 'timer'
+        ? getDurationParts(getTimerRemaining())
+        : dialMode === 'stopwatch'
+            ? getDurationParts(getStopwatchElapsed())
+            : { hours, minutes, seconds, milliseconds };
+    const tickKey = `${hours}:${minutes}:${seconds}|${dial.hours}:${dial.minutes}:${dial.seconds}`;
 
     // For stepped seconds, skip repeated frames within the same second
     if (!settings.smoothSecond && tickKey === lastTickKey) {
@@ -498,63 +4961,193 @@ function updateClock() {
     }
     lastTickKey = tickKey;
 
-    // Smooth interpolation for each hand if enabled
-    const secondProgress = settings.smoothSecond ? seconds + milliseconds / 1000 : seconds;
-    const minuteProgress = settings.smoothSecond ? minutes + seconds / 60 : minutes;
-    const hourProgress = settings.smoothSecond ? (hours % 12) + minutes / 60 : (hours % 12);
+    // Every frame: hands, seconds ring and the stopwatch/timer readout
+    const secondProgress = settings.smoothSecond ? dial.seconds + dial.milliseconds / 1000 : dial.seconds;
+    const minuteProgress = settings.smoothSecond ? dial.minutes + dial.seconds / 60 : dial.minutes;
+    const hourProgress = settings.smoothSecond ? dial.hours + dial.minutes / 60 : dial.hours;
+
+    setFaceHands(mainFace, hourProgress, minuteProgress, secondProgress, dialMode !== 'clock');
+    updateDashboard(now);
 
-    const secondAngle = secondProgress * 6;
-    const minuteAngle = minuteProgress * 6;
-    const hourAngle = hourProgress * 30;
+    if (dialMode === 'timer') {
+        // Countdown ring shows the share of the timer still remaining
+        const remaining = timerState.duration ? getTimerRemaining() / timerState.duration : 0;
+        updateSecondsRing(mainFace, remaining * 60, 0);
+    } else {
+        updateSecondsRing(mainFace, dial.seconds, dial.milliseconds);
+    }
+    if (dialMode !== 'clock') {
+        updateTimerReadout();
+    }
+    applyAmbientMode();
+
+    // Once per second: digital readouts, world times and time-based checks
+    if (tickKey !== lastSecondKey) {
+        lastSecondKey = tickKey;
+        updateClockSecond(now);
+    }
 
-    secondHand.style.transform = `rotate(${secondAngle}deg)`;
-    minuteHand.style.transform = `rotate(${minuteAngle}deg)`;
-    hourHand.style.transform = `rotate(${hourAngle}deg)`;
+    // Once per minute: date-dependent panels and slow-moving rings
+    const clockDate = getClockDate(now);
+    const minuteKey = `${getDateKey(clockDate)} ${hours}:${minutes}`;
+    if (minuteKey !== lastMinuteKey) {
+        lastMinuteKey = minuteKey;
+        updateClockMinute(now, clockDate);
+    }
+}
 
-    // Digital time and accessibility live region
-    const timeString = timeFormatter.format(now);
-    digitalTime.textContent = timeString;
-    timeLiveRegion.textContent = `Time ${timeString}`;
+function updateClockSecond(now) {
+    // Digital time and the analog dial's accessible name
+    setText(digitalTime, timeFormatter.format(now));
+    updateClockLabel(now);
 
     // Date readout uses the same timezone as the clock
-    const dateString = dateFormatter.format(now).toUpperCase();
-    dateDisplay.textContent = dateString;
+    setText(dateDisplay, dateFormatter.format(now).toUpperCase());
 
-    // Update supporting panels and rings
     updateTimezonePanel(now);
-    if (sunriseData && sunriseDateKey !== todayKey) {
-        // Refresh sunrise/sunset data once per day
-        navigator.geolocation?.getCurrentPosition(
-            (pos) => {
-                const { latitude, longitude } = pos.coords;
-                sunriseData = calcSunTimes(new Date(), latitude, longitude);
-                sunriseDateKey = todayKey;
-            },
-            () => {
-                sunriseData = null;
-            },
-            { maximumAge: 3600000, timeout: 6000 }
-        );
+    updateDashboardSecond(now);
+    checkFocusSession();
+    updateFocusArc(now);
+    if (focusState.active) {
+        updateFocusReadout();
+    }
+
+    // Alarms use the elapsed interval, so a late check still catches them.
+    // While scrubbing they follow real time on the background timer instead.
+    if (scrubTime === null) {
+        checkAlarms(now);
+        checkChime(now);
+        emitClockEvent('tick', { time: now });
+    }
+    updateSyncStatus();
+    updatePerfOverlay();
+}
+
+function updateClockMinute(now, clockDate) {
+    if (sunLocation && sunriseDateKey !== getDateKey(clockDate)) {
+        // Refresh sun data once per day in the clock's time zone
+        updateSunData();
+    }
+    if (`${clockDate.year}-${clockDate.month}-${clockDate.day}` !== calendarDateKey) {
+        // The selected zone crossed midnight, so move the "today" highlight
+        buildCalendar(calendarMonthOffset);
+        buildPlanner();
     }
     updateSunRing(now);
-    updateSecondsRing(seconds, milliseconds);
+    updateDashboardMinute(now);
+    updateTimezoneMeta(now);
 
-    // Optional chime on the minute
-    if (settings.chime && seconds === 0 && minutes !== lastChimeMinute) {
-        lastChimeMinute = minutes;
-        playChime();
+    // Past events dim as time passes
+    buildEventMarkers();
+    applyThemeMode(now);
+    applyKioskMode(now);
+    if (scrubTime === null) {
+        checkAnnouncement(now, clockDate);
     }
+    emitTimeEvents(now, clockDate);
+}
 
-    // Ambient hue shift per frame (if enabled)
-    applyAmbientMode();
+// -------------------------------
+// Frame timing overlay (?perf=1)
+// Shows frame rate, frame interval, time spent in updateClock() and DOM
+// writes per second, refreshed once a second.
+// -------------------------------
+function createPerfStats() {
+    return { frames: 0, work: 0, worstWork: 0, gaps: 0, worstGap: 0, writes: 0, lastFrame: null, since: performance.now() };
+}
+
+function togglePerfOverlay(show = !perfStats) {
+    perfStats = show ? createPerfStats() : null;
+    perfOverlay.hidden = !show;
+}
+
+function recordFrame(timestamp, work) {
+    if (perfStats.lastFrame !== null) {
+        const gap = timestamp - perfStats.lastFrame;
+        perfStats.gaps += gap;
+        perfStats.worstGap = Math.max(perfStats.worstGap, gap);
+    }
+    perfStats.lastFrame = timestamp;
+    perfStats.frames++;
+    perfStats.work += work;
+    perfStats.worstWork = Math.max(perfStats.worstWork, work);
+}
+
+function updatePerfOverlay() {
+    if (!perfStats || perfStats.frames === 0) return;
+    const elapsed = performance.now() - perfStats.since;
+    if (elapsed < 1000) return;
+
+    const { frames, work, worstWork, gaps, worstGap, writes } = perfStats;
+    perfOverlay.textContent = [
+        `${Math.round((frames * 1000) / elapsed)} fps`,
+        `frame ${(gaps / Math.max(1, frames - 1)).toFixed(1)} ms (max ${worstGap.toFixed(1)})`,
+        `update ${(work / frames).toFixed(2)} ms (max ${worstWork.toFixed(2)})`,
+        `${Math.round((writes * 1000) / elapsed)} writes/s`
+    ].join('\n');
+    perfStats = createPerfStats();
 }
 
 // -------------------------------
 // RAF wrapper for continuous animation
+// The loop stops while the tab is hidden; the hidden-tab timer keeps
+// alarms, countdowns and chimes on time until it becomes visible again.
 // -------------------------------
-function animationLoop() {
+function animationLoop(timestamp) {
+    const start = performance.now();
     updateClock();
-    requestAnimationFrame(animationLoop);
+    if (perfStats) {
+        recordFrame(timestamp, performance.now() - start);
+    }
+    animationFrameId = document.hidden ? null : requestAnimationFrame(animationLoop);
+}
+
+function handleVisibilityChange() {
+    if (!document.hidden && animationFrameId === null) {
+        invalidateClock();
+        animationFrameId = requestAnimationFrame(animationLoop);
+    }
+    // The browser drops the wake lock while hidden; take it again on return
+    updateWakeLock();
+}
+
+// -------------------------------
+// Offline support: register the service worker and offer a reload when a
+// new version has been cached. Service workers need http(s), so pages
+// opened from file:// skip this.
+// -------------------------------
+function showUpdateBanner(worker) {
+    waitingWorker = worker;
+    updateBanner.hidden = false;
+}
+
+function applyUpdate() {
+    if (!waitingWorker) return;
+    navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+    waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+    updateBanner.hidden = true;
+}
+
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) return;
+
+    navigator.serviceWorker.register('sw.js').then(registration => {
+        // A new version cached on an earlier visit is still waiting
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            showUpdateBanner(registration.waiting);
+        }
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                // With no controller this is the first install, not an update
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    showUpdateBanner(worker);
+                }
+            });
+        });
+    }).catch(() => {
+        // Offline support is optional; the clock works without it
+    });
 }
 
 // -------------------------------
@@ -565,14 +5158,46 @@ function handleSettingsChange() {
     settings.smoothSecond = smoothToggle.checked;
     settings.timezone = timezoneSelect.value;
     settings.theme = themeSelect.value;
+    settings.dialStyle = dialStyleSelect.value;
     settings.chime = chimeToggle.checked;
+    settings.chimePattern = chimePatternSelect.value;
+    settings.chimeVolume = Number(chimeVolume.value) / 100;
+    settings.quietHours = quietToggle.checked;
+    settings.quietStart = quietStart.value || settings.quietStart;
+    settings.quietEnd = quietEnd.value || settings.quietEnd;
+    settings.workStart = plannerWorkStart.value || settings.workStart;
+    settings.workEnd = plannerWorkEnd.value || settings.workEnd;
     settings.ambient = ambientToggle.checked;
-    setTheme(settings.theme);
+    settings.locale = localeSelect.value;
+    settings.calendar = calendarSystemSelect.value;
+    settings.numbering = numberingSelect.value;
+    settings.weekStart = weekStartSelect.value === 'auto' ? 'auto' : Number(weekStartSelect.value);
+    settings.announce = announceSelect.value;
+    settings.themeMode = themeMode.value;
+    settings.themeDay = themeDay.value;
+    settings.themeNight = themeNight.value;
+    settings.themeDayStart = themeDayStart.value || settings.themeDayStart;
+    settings.themeNightStart = themeNightStart.value || settings.themeNightStart;
+    updateThemeControls();
+    applyThemeMode(getNow());
     updateFormatters();
-    lastTickKey = '';
+    buildMarkers();
+    buildDashboard();
+    buildFocusHistory();
+    buildCalendar(calendarMonthOffset);
+    buildPlanner();
+    buildAlarmList();
+    buildDayDetail();
+    updateSunData();
+    updateScrubInput();
+    invalidateClock();
     updateClock();
     saveSettings();
 
+    if (masterGain) {
+        masterGain.gain.value = settings.chimeVolume;
+    }
+
     // Ensure audio is unlocked if chime was just enabled
     if (settings.chime) {
         initAudio();
@@ -582,31 +5207,557 @@ function handleSettingsChange() {
     }
 }
 
+// -------------------------------
+// Events for host pages
+// Dispatched on document as CustomEvents named 'modernclock:<type>', with
+// the details below. Time events follow the render loop, so they pause
+// with it in background tabs; alarm and timer events don't.
+//   tick            { time } once per displayed second
+//   minute / hour   { time, hours, minutes } in the clock's time zone
+//   settingschange  { changed, settings } after settings are saved
+//   chime           { pattern, hours, minutes } when a chime plays
+//   alarm           { id, name, time } when an alarm starts ringing
+//   timerdone       { duration } when the countdown reaches zero
+// -------------------------------
+const clockEventTypes = ['tick', 'minute', 'hour', 'settingschange', 'chime', 'alarm', 'timerdone'];
+function emitClockEvent(type, detail) {
+    document.dispatchEvent(new CustomEvent(`modernclock:${type}`, { detail }));
+    if (bridgeEvents.has(type) && bridgeOrigin) {
+        window.parent.postMessage({ type: 'modernclock', event: type, detail }, bridgeOrigin);
+    }
+}
+
+// Host pages only hear about live time, never a previewed moment
+function emitTimeEvents(now, clockDate) {
+    if (scrubTime !== null) return;
+    const { hours, minutes } = getTimeParts(now);
+    const key = `${getDateKey(clockDate)} ${hours}:${minutes}`;
+    // Settings changes rerun the minute cadence; don't repeat the minute
+    if (key === lastEventMinuteKey) return;
+    lastEventMinuteKey = key;
+    emitClockEvent('minute', { time: now, hours, minutes });
+    if (minutes === 0) {
+        emitClockEvent('hour', { time: now, hours, minutes });
+    }
+}
+
+// Settings as JSON by key, to report which ones a save changed
+function getSettingsSnapshot() {
+    const snapshot = {};
+    Object.keys(settings).forEach(key => {
+        snapshot[key] = JSON.stringify(settings[key]);
+    });
+    return snapshot;
+}
+
+function emitSettingsChange() {
+    if (settingsBatch) return;
+    const snapshot = getSettingsSnapshot();
+    const changed = Object.keys(snapshot).filter(key => snapshot[key] !== announcedSettings[key]);
+    announcedSettings = snapshot;
+    if (changed.length) {
+        emitClockEvent('settingschange', { changed, settings: getSettingsCopy() });
+    }
+}
+
+// -------------------------------
+// Public API: window.ModernClock
+// Settings go through the same controls and handlers as the page UI, so a
+// scripted change looks exactly like a user's. Values are checked against
+// settingsSchema first; setSettings() returns the keys it couldn't apply.
+// -------------------------------
+const settingControls = {
+    is24Hour: formatToggle,
+    smoothSecond: smoothToggle,
+    timezone: timezoneSelect,
+    theme: themeSelect,
+    dialStyle: dialStyleSelect,
+    themeMode,
+    themeDay,
+    themeNight,
+    themeDayStart,
+    themeNightStart,
+    chime: chimeToggle,
+    chimePattern: chimePatternSelect,
+    chimeVolume,
+    quietHours: quietToggle,
+    quietStart,
+    quietEnd,
+    workStart: plannerWorkStart,
+    workEnd: plannerWorkEnd,
+    syncEnabled: syncToggle,
+    syncUrl: syncUrlInput,
+    syncInterval: syncIntervalSelect,
+    locationMode,
+    locationCity,
+    latitude: locationLatitude,
+    longitude: locationLongitude,
+    ambient: ambientToggle,
+    dashboardColumns: dashboardColumnsSelect,
+    kiosk: kioskToggle,
+    kioskShift: kioskShiftToggle,
+    kioskDim: kioskDimSelect,
+    kioskDimStart,
+    kioskDimEnd,
+    focusWork: focusWorkInput,
+    focusShortBreak: focusShortInput,
+    focusLongBreak: focusLongInput,
+    focusCycles: focusCyclesInput,
+    locale: localeSelect,
+    calendar: calendarSystemSelect,
+    numbering: numberingSelect,
+    weekStart: weekStartSelect,
+    announce: announceSelect
+};
+
+function getSettingsCopy() {
+    return { ...settings, shortcuts: { ...settings.shortcuts } };
+}
+
+// Write a value into its control; false when a select has no such option
+function writeSettingControl(key, value) {
+    const control = settingControls[key];
+    const previous = control.value;
+    if (control.type === 'checkbox') {
+        control.checked = value;
+    } else if (key === 'chimeVolume') {
+        control.value = Math.round(value * 100);
+    } else {
+        control.value = value === null ? '' : String(value);
+    }
+    if (control.tagName === 'SELECT' && control.value !== String(value)) {
+        control.value = previous;
+        return false;
+    }
+    return true;
+}
+
+function applySettings(changes) {
+    const requested = isPlainObject(changes) ? Object.keys(changes) : [];
+    const { values, rejected } = validateSettings(changes, settingChecks);
+    const unknown = requested.filter(key => !Object.hasOwn(settingsSchema, key));
+    const changedControls = new Set();
+
+    // Every save below is reported in one settingschange event at the end
+    settingsBatch = true;
+    try {
+        requested.filter(key => Object.hasOwn(settingsSchema, key) && !rejected.includes(key)).forEach(key => {
+            const value = values[key];
+            if (key === 'focusMode') {
+                if (settings.focusMode !== value) toggleFocusMode();
+            } else if (key === 'dashboard') {
+                if (settings.dashboard !== value) setDashboardMode(value);
+            } else if (key === 'shortcuts') {
+                settings.shortcuts = value;
+                saveSettings();
+                buildShortcutList();
+            } else {
+                if (key === 'timezone') {
+                    // Aliases such as Asia/Kolkata only get an option once selected
+                    settings.timezone = value;
+                    buildTimezoneOptions();
+                }
+                if (writeSettingControl(key, value)) {
+                    changedControls.add(settingControls[key]);
+                } else {
+                    rejected.push(key);
+                }
+            }
+        });
+
+        // Each control's own handler reads the new values and saves them
+        changedControls.forEach(control => control.dispatchEvent(new Event('change')));
+    } finally {
+        settingsBatch = false;
+    }
+    emitSettingsChange();
+    return { rejected: [...rejected, ...unknown] };
+}
+
+// Open a 'YYYY-MM-DD' day in the calendar's day view
+function openCalendarDate(dateKey) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateKey);
+    if (!match) return false;
+    const time = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    // Start from the Gregorian month distance; showCalendarDate() corrects
+    // it for calendars with other month lengths
+    const today = getClockDate(getNow());
+    calendarMonthOffset = (Number(match[1]) - today.year) * 12 + (Number(match[2]) - 1 - today.month);
+    showCalendarDate(time);
+    selectCalendarDay(dateKey);
+    return true;
+}
+
+function runCommand(id) {
+    const command = commands.find(item => item.id === id);
+    if (!command) return false;
+    command.run();
+    return true;
+}
+
+const ModernClock = Object.freeze({
+    events: clockEventTypes.slice(),
+    getTime: () => getNow(),
+    getSettings: getSettingsCopy,
+    setSettings: applySettings,
+    setZone: zone => applySettings({ timezone: zone }).rejected.length === 0,
+    // Picking a theme by hand stops automatic switching, as the ?theme= parameter does
+    setTheme: id => applySettings({ theme: id, themeMode: 'fixed' }).rejected.length === 0,
+    setFocusMode: enabled => applySettings({ focusMode: Boolean(enabled) }).rejected.length === 0,
+    setDashboard: enabled => applySettings({ dashboard: Boolean(enabled) }).rejected.length === 0,
+    setPanels: panels => showPanels(Array.isArray(panels) ? panels.filter(name => Object.hasOwn(embedPanels, name)) : null),
+    calendarPrevious: () => calendarPrev.click(),
+    calendarNext: () => calendarNext.click(),
+    calendarToday: showCalendarToday,
+    openDate: openCalendarDate,
+    getCommands: () => commands.map(command => ({ id: command.id, label: command.label, key: getShortcut(command) })),
+    runCommand,
+    on(type, listener) {
+        document.addEventListener(`modernclock:${type}`, listener);
+        return () => document.removeEventListener(`modernclock:${type}`, listener);
+    },
+    off(type, listener) {
+        document.removeEventListener(`modernclock:${type}`, listener);
+    }
+});
+
+window.ModernClock = ModernClock;
+
+// -------------------------------
+// postMessage bridge for a page that embeds the clock in an iframe
+// The parent posts { type: 'modernclock', id, method, args } and gets
+// { type: 'modernclock', id, result } or { type: 'modernclock', id, error }
+// back. The 'subscribe' and 'unsubscribe' methods take an event type and
+// forward those events as { type: 'modernclock', event, detail }.
+// Any site can frame the clock, so the bridge only offers calls that
+// neither save anything to this origin's storage nor reveal it; settings
+// and commands stay with same-origin pages using window.ModernClock.
+// Only messages from the embedding window with a real origin are handled.
+// -------------------------------
+// getCommands (stored key bindings), settingschange (stored settings) and
+// alarm (stored alarm ids and names) stay page-only
+const bridgeMethods = ['getTime', 'setPanels', 'calendarPrevious', 'calendarNext', 'calendarToday', 'openDate'];
+const bridgeEventTypes = clockEventTypes.filter(type => !['settingschange', 'alarm'].includes(type));
+const bridgeEvents = new Set();
+
+function handleBridgeMessage(event) {
+    const data = event.data;
+    if (window.parent === window || event.source !== window.parent || event.origin === 'null') return;
+    if (!isPlainObject(data) || data.type !== 'modernclock' || typeof data.method !== 'string') return;
+
+    const reply = message => event.source.postMessage({ type: 'modernclock', id: data.id, ...message }, event.origin);
+    const args = Array.isArray(data.args) ? data.args : [];
+    if (data.method === 'subscribe' || data.method === 'unsubscribe') {
+        if (!bridgeEventTypes.includes(args[0])) {
+            reply({ error: `Unknown event: ${args[0]}` });
+            return;
+        }
+        if (data.method === 'subscribe') {
+            bridgeEvents.add(args[0]);
+            bridgeOrigin = event.origin;
+        } else {
+            bridgeEvents.delete(args[0]);
+        }
+        reply({ result: true });
+        return;
+    }
+
+    if (!bridgeMethods.includes(data.method)) {
+        reply({ error: `Unknown method: ${data.method}` });
+        return;
+    }
+    try {
+        const result = ModernClock[data.method](...args);
+        reply({ result: result === undefined ? null : result });
+    } catch (error) {
+        reply({ error: error.message });
+    }
+}
+
 // -------------------------------
 // Initial bootstrapping
 // -------------------------------
+applyEmbedLayout();
+buildTimezoneOptions();
+buildLocaleOptions();
+buildLocationOptions();
+locationMode.value = settings.locationMode;
+locationCity.value = settings.locationCity;
+locationLatitude.value = settings.latitude ?? '';
+locationLongitude.value = settings.longitude ?? '';
+updateLocationInputs();
 updateFormatters();
 buildMarkers();
 buildTimezonePanel();
+buildPlanner();
+buildDashboardOptions();
+buildDashboard();
+buildAlarmZoneOptions();
+buildAlarmList();
+buildFocusHistory();
+updateFocusControls();
 buildCalendar(calendarMonthOffset);
-setTheme(settings.theme);
+buildThemeOptions();
+buildThemeEditor();
+updateThemeControls();
+applyThemeMode(getNow());
+buildSyncDetails();
+updateSyncControls();
+announcedSettings = getSettingsSnapshot();
+if (settingsRecovered) {
+    // Replace the unreadable copy (kept under modernClockSettingsCorrupt)
+    saveSettings();
+    settingsBanner.hidden = false;
+}
 document.body.classList.toggle('focus-mode', settings.focusMode);
 focusToggle.textContent = settings.focusMode ? 'Exit Focus' : 'Focus Mode';
-updateClock();
-requestAnimationFrame(animationLoop);
+updateFullscreenButton();
+updateKioskControls();
+updateWakeLock();
+applyKioskMode(getNow());
+setDialMode(dialMode);
+togglePerfOverlay(urlOptions.perf);
+animationFrameId = requestAnimationFrame(animationLoop);
+registerServiceWorker();
+runTimeSync();
 
 // -------------------------------
 // Event wiring
 // -------------------------------
-window.addEventListener('resize', buildMarkers);
+window.addEventListener('resize', () => {
+    buildMarkers();
+    buildDashboardMarkers();
+});
 formatToggle.addEventListener('change', handleSettingsChange);
 smoothToggle.addEventListener('change', handleSettingsChange);
 timezoneSelect.addEventListener('change', handleSettingsChange);
-themeSelect.addEventListener('change', handleSettingsChange);
+themeSelect.addEventListener('change', handleThemeChange);
+dialStyleSelect.addEventListener('change', handleSettingsChange);
+localeSelect.addEventListener('change', handleSettingsChange);
+calendarSystemSelect.addEventListener('change', handleSettingsChange);
+numberingSelect.addEventListener('change', handleSettingsChange);
+weekStartSelect.addEventListener('change', handleSettingsChange);
+announceSelect.addEventListener('change', handleSettingsChange);
 chimeToggle.addEventListener('change', handleSettingsChange);
+chimePatternSelect.addEventListener('change', handleSettingsChange);
+chimeVolume.addEventListener('change', handleSettingsChange);
+quietToggle.addEventListener('change', handleSettingsChange);
+quietStart.addEventListener('change', handleSettingsChange);
+quietEnd.addEventListener('change', handleSettingsChange);
+chimePreview.addEventListener('click', previewChime);
+locationMode.addEventListener('change', handleLocationChange);
+locationCity.addEventListener('change', handleLocationChange);
+locationLatitude.addEventListener('change', handleLocationChange);
+locationLongitude.addEventListener('change', handleLocationChange);
 ambientToggle.addEventListener('change', handleSettingsChange);
 focusToggle.addEventListener('click', toggleFocusMode);
+embedCopy.addEventListener('click', copyEmbedLink);
+updateReload.addEventListener('click', applyUpdate);
+settingsBannerClose.addEventListener('click', () => {
+    settingsBanner.hidden = true;
+});
+document.addEventListener('visibilitychange', handleVisibilityChange);
+window.addEventListener('message', handleBridgeMessage);
+document.addEventListener('keydown', handleShortcutKeydown);
+scrubToggle.addEventListener('click', startScrub);
+scrubExit.addEventListener('click', exitScrub);
+scrubInput.addEventListener('change', handleScrubInput);
+clock.addEventListener('pointerdown', startScrubDrag);
+clock.addEventListener('pointermove', moveScrubDrag);
+clock.addEventListener('pointerup', endScrubDrag);
+clock.addEventListener('pointercancel', endScrubDrag);
+shortcutsOpen.addEventListener('click', openShortcutOverlay);
+shortcutClose.addEventListener('click', () => closeOverlay(shortcutOverlay));
+shortcutReset.addEventListener('click', resetShortcuts);
+shortcutList.addEventListener('click', (event) => {
+    const button = event.target.closest('.shortcut-change');
+    if (button) {
+        startRebinding(button.dataset.id);
+    }
+});
+paletteSearch.addEventListener('input', updatePaletteResults);
+paletteSearch.addEventListener('keydown', handlePaletteKeydown);
+paletteResults.addEventListener('click', (event) => {
+    const option = event.target.closest('.palette-option');
+    if (option) {
+        runPaletteEntry(Number(option.dataset.index));
+    }
+});
+[shortcutOverlay, commandPalette].forEach(overlay => {
+    overlay.addEventListener('keydown', keepFocusInOverlay);
+    // Clicking the backdrop closes the overlay
+    overlay.addEventListener('click', (event) => {
+        if (event.target === overlay) {
+            closeOverlay(overlay);
+        }
+    });
+});
 focusExit.addEventListener('click', toggleFocusMode);
+focusFullscreen.addEventListener('click', toggleFullscreen);
+document.addEventListener('fullscreenchange', updateFullscreenButton);
+[kioskToggle, kioskShiftToggle, kioskDimSelect, kioskDimStart, kioskDimEnd].forEach(control => {
+    control.addEventListener('change', handleKioskSettingsChange);
+});
+timezoneEdit.addEventListener('click', toggleTimezoneEditMode);
+timezoneSearch.addEventListener('input', updateTimezoneResults);
+timezoneResults.addEventListener('click', (event) => {
+    const option = event.target.closest('.tz-result');
+    if (option) {
+        addTimezone(option.dataset.zone);
+    }
+});
+timezoneGrid.addEventListener('click', (event) => {
+    const button = event.target.closest('.tz-action');
+    if (!button) return;
+    const index = Number(button.dataset.index);
+    if (button.dataset.action === 'up') moveTimezone(index, -1);
+    if (button.dataset.action === 'down') moveTimezone(index, 1);
+    if (button.dataset.action === 'remove') removeTimezone(index);
+});
+timezoneGrid.addEventListener('change', (event) => {
+    if (event.target.classList.contains('tz-rename')) {
+        renameTimezone(Number(event.target.dataset.index), event.target.value);
+    }
+});
+plannerDate.addEventListener('change', () => {
+    plannerDateKey = plannerDate.value;
+    buildPlanner();
+});
+plannerPrev.addEventListener('click', () => shiftPlannerDate(-1));
+plannerNext.addEventListener('click', () => shiftPlannerDate(1));
+plannerWorkStart.addEventListener('change', handleSettingsChange);
+plannerWorkEnd.addEventListener('change', handleSettingsChange);
+plannerGrid.addEventListener('click', (event) => {
+    const slot = event.target.closest('[data-time]');
+    if (slot) {
+        copyPlannerSlot(Number(slot.dataset.time));
+    }
+});
+dashboardToggle.addEventListener('click', () => setDashboardMode(!settings.dashboard));
+dashboardExit.addEventListener('click', () => setDashboardMode(false));
+dashboardEdit.addEventListener('click', toggleDashboardEditMode);
+dashboardEditor.addEventListener('submit', addDashboardClock);
+dashboardColumnsSelect.addEventListener('change', handleDashboardColumnsChange);
+dashboardGrid.addEventListener('click', (event) => {
+    const button = event.target.closest('.tz-action');
+    if (!button) return;
+    const index = Number(button.dataset.index);
+    if (button.dataset.action === 'up') moveDashboardClock(index, -1);
+    if (button.dataset.action === 'down') moveDashboardClock(index, 1);
+    if (button.dataset.action === 'remove') removeDashboardClock(index);
+});
+dashboardGrid.addEventListener('change', (event) => {
+    const index = Number(event.target.dataset.index);
+    if (event.target.classList.contains('dashboard-rename')) {
+        updateDashboardClock(index, { label: event.target.value.trim() || dashboardClocks[index].zone });
+    } else if (event.target.classList.contains('dashboard-dial')) {
+        updateDashboardClock(index, { dialStyle: event.target.value });
+    } else if (event.target.classList.contains('dashboard-sun')) {
+        updateDashboardClock(index, { sunRing: event.target.checked });
+    }
+});
+[syncToggle, syncUrlInput, syncIntervalSelect].forEach(control => {
+    control.addEventListener('change', handleSyncSettingsChange);
+});
+syncNow.addEventListener('click', runTimeSync);
+alarmForm.addEventListener('submit', addAlarm);
+alarmRepeat.addEventListener('change', () => {
+    alarmDays.hidden = alarmRepeat.value !== 'custom';
+});
+alarmPreview.addEventListener('click', () => playAlarmTone(alarmTone.value));
+alarmList.addEventListener('change', (event) => {
+    if (event.target.classList.contains('alarm-enabled')) {
+        setAlarmEnabled(event.target.dataset.id, event.target.checked);
+    }
+});
+alarmList.addEventListener('click', (event) => {
+    const button = event.target.closest('.alarm-remove');
+    if (button) {
+        removeAlarm(button.dataset.id);
+    }
+});
+alarmSnooze.addEventListener('click', snoozeAlarms);
+alarmDismiss.addEventListener('click', dismissAlarms);
+
+// Background tabs don't run the animation loop, and scrub mode renders a
+// fixed instant, so keep alarms, chimes, announcements and the countdowns
+// checked on a timer in both cases. The same timer watches for system
+// clock jumps.
+function runBackgroundChecks() {
+    checkClockJump();
+    if (document.hidden || scrubTime !== null) {
+        const now = liveTimeSource();
+        checkAlarms(now);
+        checkChime(now);
+        checkAnnouncement(now, getClockDate(now));
+        checkTimer();
+        checkFocusSession();
+    }
+}
+
+setInterval(runBackgroundChecks, 1000);
+
+dialModeSwitch.addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-mode]');
+    if (button) {
+        setDialMode(button.dataset.mode);
+    }
+});
+timerStart.addEventListener('click', toggleTimerRunning);
+timerReset.addEventListener('click', resetTimer);
+timerLap.addEventListener('click', recordLap);
+timerInputs.addEventListener('input', () => {
+    if (timerState.startedAt === null && timerState.banked === 0) {
+        updateTimerReadout();
+    }
+});
+
+[focusWorkInput, focusShortInput, focusLongInput, focusCyclesInput].forEach(input => {
+    input.addEventListener('change', handleFocusSettingsChange);
+});
+focusBegin.addEventListener('click', startFocusSessionInFocusMode);
+focusStart.addEventListener('click', toggleFocusSession);
+focusSkip.addEventListener('click', skipFocusPhase);
+focusReset.addEventListener('click', resetFocusSession);
+
+[themeMode, themeDay, themeNight, themeDayStart, themeNightStart].forEach(control => {
+    control.addEventListener('change', handleThemeChange);
+});
+themeColors.addEventListener('input', previewTheme);
+themeSave.addEventListener('click', () => saveTheme(false));
+themeSaveNew.addEventListener('click', () => saveTheme(true));
+themeRevert.addEventListener('click', revertTheme);
+themeDelete.addEventListener('click', deleteTheme);
+themeImport.addEventListener('click', () => themeFile.click());
+themeFile.addEventListener('change', handleThemeFile);
+themeExport.addEventListener('click', exportTheme);
+window.matchMedia('(prefers-color-scheme: light)').addEventListener('change', () => applyThemeMode(getNow()));
+
+calendarGrid.addEventListener('click', (event) => {
+    const cell = event.target.closest('.calendar-cell.day');
+    if (cell) {
+        selectCalendarDay(cell.dataset.date);
+    }
+});
+calendarGrid.addEventListener('keydown', handleCalendarKeydown);
+dayDetailClose.addEventListener('click', closeDayDetail);
+dayDetail.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') {
+        event.preventDefault();
+        closeDayDetail();
+    }
+});
+dayEvents.addEventListener('click', (event) => {
+    const button = event.target.closest('.event-remove');
+    if (button) {
+        removeEvent(button.dataset.uid);
+    }
+});
+eventForm.addEventListener('submit', addEvent);
+calendarImport.addEventListener('click', () => calendarFile.click());
+calendarFile.addEventListener('change', handleCalendarFile);
+calendarExport.addEventListener('click', exportEvents);
+
 calendarPrev.addEventListener('click', () => {
     calendarMonthOffset -= 1;
     buildCalendar(calendarMonthOffset);
@@ -617,16 +5768,6 @@ calendarNext.addEventListener('click', () => {
 });
 
 // -------------------------------
-// Request geolocation for sunrise/sunset arc on first load
+// Resolve the sun location (geolocation, city or coordinates) on first load
 // -------------------------------
-navigator.geolocation?.getCurrentPosition(
-    (pos) => {
-        const { latitude, longitude } = pos.coords;
-        sunriseData = calcSunTimes(new Date(), latitude, longitude);
-        sunriseDateKey = new Date().toDateString();
-    },
-    () => {
-        sunriseData = null;
-    },
-    { maximumAge: 3600000, timeout: 6000 }
-);
+refreshSunData();
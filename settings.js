@@ -0,0 +1,178 @@
+// Modern Clock — settings schema
+// Field definitions, validation and version migrations for the settings
+// stored under modernClockSettings and for backup files (loaded before
+// script.js and by the Node tests). Nothing here touches the DOM; checks
+// that need the browser (time zones, locales) are passed in by script.js.
+
+// -------------------------------
+// Version of the stored settings and backup format
+// Bump it and add a migration below whenever a stored field is renamed,
+// removed or changes shape.
+// -------------------------------
+const settingsVersion = 2;
+
+// -------------------------------
+// Every persisted setting with its default and how it is checked
+//   type    boolean, number, integer, time ('HH:MM'), string, url or map,
+//           or a name looked up in the checks given to validateSettings()
+//   values  allowed values for a fixed choice
+//   min/max range for numbers; nullable also allows null
+// -------------------------------
+const settingsSchema = {
+    is24Hour: { default: true, type: 'boolean' },
+    smoothSecond: { default: true, type: 'boolean' },
+    timezone: { default: 'local', type: 'zone' },                 // 'local', 'utc' or an IANA zone
+    theme: { default: 'aurora', type: 'string' },                 // Built-in or custom theme id
+    dialStyle: { default: 'classic', type: 'dialStyle' },         // Key of dialStyles
+    themeMode: { default: 'fixed', values: ['fixed', 'schedule', 'sun', 'system'] }, // 'sun' follows sunrise/sunset, 'system' prefers-color-scheme
+    themeDay: { default: 'steel', type: 'string' },               // Themes used by the automatic modes
+    themeNight: { default: 'aurora', type: 'string' },
+    themeDayStart: { default: '07:00', type: 'time' },
+    themeNightStart: { default: '19:00', type: 'time' },
+    chime: { default: false, type: 'boolean' },
+    chimePattern: { default: 'westminster', values: ['westminster', 'strike', 'ships', 'cuckoo'] },
+    chimeVolume: { default: 0.35, type: 'number', min: 0, max: 1 }, // Master gain for all clock audio
+    quietHours: { default: false, type: 'boolean' },
+    quietStart: { default: '22:00', type: 'time' },
+    quietEnd: { default: '07:00', type: 'time' },
+    workStart: { default: '09:00', type: 'time' },                // Working hours marked in the meeting planner (each zone's local time)
+    workEnd: { default: '17:00', type: 'time' },
+    syncEnabled: { default: false, type: 'boolean' },             // Correct the displayed time against a time server
+    syncUrl: { default: '', type: 'url' },                        // Time server endpoint (see the README for accepted responses)
+    syncInterval: { default: 15, values: [1, 5, 15, 60] },         // Minutes between syncs
+    locationMode: { default: 'auto', values: ['auto', 'city', 'manual'] }, // 'auto' uses geolocation
+    locationCity: { default: 'London', type: 'string' },
+    latitude: { default: null, type: 'number', min: -90, max: 90, nullable: true }, // Manual coordinates in decimal degrees
+    longitude: { default: null, type: 'number', min: -180, max: 180, nullable: true },
+    ambient: { default: false, type: 'boolean' },
+    focusMode: { default: false, type: 'boolean' },
+    dashboard: { default: false, type: 'boolean' },              // Show the grid of dashboard clocks instead of the main clock
+    dashboardColumns: { default: 'auto', values: ['auto', 2, 3, 4, 5, 6] }, // Grid columns, or 'auto' to fit the screen
+    kiosk: { default: false, type: 'boolean' },                  // Keep the screen awake and apply the options below
+    kioskShift: { default: true, type: 'boolean' },               // Move the page a few pixels each minute against burn-in
+    kioskDim: { default: 'off', values: ['off', 'schedule', 'sun'] }, // Night dimming: a schedule, or sunset to sunrise
+    kioskDimStart: { default: '22:00', type: 'time' },
+    kioskDimEnd: { default: '07:00', type: 'time' },
+    focusWork: { default: 25, type: 'integer', min: 1, max: 180 }, // Focus session lengths in minutes
+    focusShortBreak: { default: 5, type: 'integer', min: 1, max: 60 },
+    focusLongBreak: { default: 15, type: 'integer', min: 1, max: 120 },
+    focusCycles: { default: 4, type: 'integer', min: 1, max: 12 }, // Work sessions before a long break
+    locale: { default: 'auto', type: 'locale' },                  // BCP 47 tag for date/time text, or 'auto' for the browser language
+    calendar: { default: 'gregory', type: 'calendar' },           // Intl calendar system for the calendar panel and date readout
+    numbering: { default: 'auto', values: ['auto', 'latn', 'arab', 'arabext', 'deva', 'beng', 'thai', 'hanidec', 'fullwide'] },
+    weekStart: { default: 'auto', values: ['auto', 0, 1, 6] }, // First weekday (0 = Sunday, 1 = Monday, 6 = Saturday) or 'auto' from the locale
+    announce: { default: 'off', values: ['off', 'minute', 'quarter', 'hour'] }, // Screen reader time announcements
+    shortcuts: { default: {}, type: 'map' }                       // Rebound keys by command id; commands not listed use their default key
+};
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Built-in types; each returns whether the value is acceptable
+const settingTypes = {
+    boolean: value => typeof value === 'boolean',
+    number: (value, field) => typeof value === 'number' && Number.isFinite(value) && isInRange(value, field),
+    integer: (value, field) => Number.isInteger(value) && isInRange(value, field),
+    time: value => typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value),
+    string: value => typeof value === 'string' && value.length > 0 && value.length <= 200,
+    url: value => value === '' || (typeof value === 'string' && /^https?:\/\/\S+$/i.test(value)),
+    map: value => isPlainObject(value) && Object.values(value).every(item => typeof item === 'string')
+};
+
+function isInRange(value, field) {
+    return (field.min === undefined || value >= field.min) && (field.max === undefined || value <= field.max);
+}
+
+function isValidSetting(field, value, checks) {
+    if (value === null) return Boolean(field.nullable);
+    if (field.values) return field.values.includes(value);
+    const check = settingTypes[field.type] || checks[field.type] || settingTypes.string;
+    return Boolean(check(value, field));
+}
+
+function getDefaultSettings() {
+    const defaults = {};
+    Object.keys(settingsSchema).forEach(key => {
+        const value = settingsSchema[key].default;
+        defaults[key] = isPlainObject(value) ? { ...value } : value;
+    });
+    return defaults;
+}
+
+// -------------------------------
+// Validate settings against the schema
+// Returns every schema field in `values`: valid values are kept and
+// anything missing or invalid gets its default. Unknown keys are dropped;
+// `rejected` lists keys that were present but invalid.
+// -------------------------------
+function validateSettings(data, checks = {}) {
+    const values = getDefaultSettings();
+    const rejected = [];
+    if (!isPlainObject(data)) return { values, rejected };
+
+    Object.keys(settingsSchema).forEach(key => {
+        if (!(key in data)) return;
+        if (isValidSetting(settingsSchema[key], data[key], checks)) {
+            values[key] = isPlainObject(data[key]) ? { ...data[key] } : data[key];
+        } else {
+            rejected.push(key);
+        }
+    });
+    return { values, rejected };
+}
+
+// -------------------------------
+// Migrations, keyed by the version they upgrade from
+// Data without a version field is version 1.
+// -------------------------------
+const settingsMigrations = {
+    // Version 1 saved the week start as the select's text ('0'-'6')
+    1: data => (/^[0-6]$/.test(data.weekStart) ? { ...data, weekStart: Number(data.weekStart) } : data)
+};
+
+function migrateSettings(data) {
+    if (!isPlainObject(data)) return {};
+    let version = Number.isInteger(data.version) && data.version > 0 ? data.version : 1;
+    let migrated = { ...data };
+    while (version < settingsVersion) {
+        migrated = settingsMigrations[version](migrated);
+        version += 1;
+    }
+    // Settings from a newer version keep the fields this version knows
+    delete migrated.version;
+    return migrated;
+}
+
+// -------------------------------
+// Backup files
+// { app, version, exported, settings, ...sections } where the sections are
+// the other stored lists (world times, alarms, events, themes, history,
+// dashboard clocks).
+// parseBackup() returns migrated settings and the raw sections, or null
+// when the text isn't a Modern Clock backup.
+// -------------------------------
+const backupApp = 'modern-clock';
+
+function createBackup(settings, sections, exported) {
+    return { app: backupApp, version: settingsVersion, exported: exported.toISOString(), settings, ...sections };
+}
+
+function parseBackup(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        return null;
+    }
+    if (!isPlainObject(data) || data.app !== backupApp || !isPlainObject(data.settings)) return null;
+
+    const sections = { ...data };
+    ['app', 'version', 'exported', 'settings'].forEach(key => delete sections[key]);
+    return { settings: migrateSettings({ ...data.settings, version: data.version }), sections };
+}
+
+// Node (tests) can require this file; browsers just get the globals above
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { settingsVersion, settingsSchema, getDefaultSettings, validateSettings, migrateSettings, createBackup, parseBackup };
+}
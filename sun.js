@@ -0,0 +1,100 @@
+// Modern Clock — solar calculations
+// Pure sun-event math shared by the clock UI (loaded before script.js) and
+// the Node test suite. No DOM access in this file.
+
+// -------------------------------
+// Sun altitudes (as zenith angles) that define each solar event
+// -------------------------------
+const sunZeniths = {
+    sunrise: 90.833,        // Upper limb on the horizon, with refraction
+    civil: 96,
+    nautical: 102,
+    astronomical: 108
+};
+
+// -------------------------------
+// Calculate sun event times using a simplified solar position algorithm
+// `date` is read as a UTC calendar day (pass Date.UTC(year, month, day)).
+// Each event pair has an explicit state:
+//   'normal'      -> start/end are Dates (end may fall on the next UTC day)
+//   'always-up'   -> the sun stays above that altitude all day (polar day)
+//   'always-down' -> the sun never reaches that altitude (polar night)
+// Times are placed on the local solar day at `longitude`, so places near the
+// date line get a sunrise on the previous UTC date instead of a wrapped one.
+// -------------------------------
+function calcSunTimes(date, latitude, longitude) {
+    const rad = Math.PI / 180;
+    const midnight = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+    const day = Math.round((midnight - Date.UTC(date.getUTCFullYear(), 0, 0)) / 86400000);
+    const lat = Math.max(-89.99, Math.min(89.99, latitude));
+    const lngHour = longitude / 15;
+
+    // Right ascension (hours) and declination terms at approximate day t
+    function sunPosition(t) {
+        const M = (0.9856 * t) - 3.289;
+        let L = M + (1.916 * Math.sin(M * rad)) + (0.02 * Math.sin(2 * M * rad)) + 282.634;
+        L = (L + 360) % 360;
+        let RA = Math.atan(0.91764 * Math.tan(L * rad)) / rad;
+        RA = (RA + 360) % 360;
+        const Lquadrant = Math.floor(L / 90) * 90;
+        const RAquadrant = Math.floor(RA / 90) * 90;
+        RA = (RA + (Lquadrant - RAquadrant)) / 15;
+
+        const sinDec = 0.39782 * Math.sin(L * rad);
+        const cosDec = Math.cos(Math.asin(sinDec));
+        return { RA, sinDec, cosDec };
+    }
+
+    // Local mean time (hours) on this day -> instant, rounded to the minute
+    function toDate(localMeanTime) {
+        let T = localMeanTime % 24;
+        if (T < 0) T += 24;
+        const instant = midnight + (T - lngHour) * 3600000;
+        return new Date(Math.round(instant / 60000) * 60000);
+    }
+
+    function calcEvent(zenith) {
+        const times = {};
+        for (const isRise of [true, false]) {
+            const t = day + ((isRise ? 6 : 18) - lngHour) / 24;
+            const { RA, sinDec, cosDec } = sunPosition(t);
+            const cosH = (Math.cos(zenith * rad) - (sinDec * Math.sin(lat * rad))) /
+                (cosDec * Math.cos(lat * rad));
+
+            if (cosH < -1) return { state: 'always-up', start: null, end: null };
+            if (cosH > 1) return { state: 'always-down', start: null, end: null };
+
+            const H = (isRise ? 360 - Math.acos(cosH) / rad : Math.acos(cosH) / rad) / 15;
+            times[isRise ? 'start' : 'end'] = toDate(H + RA - (0.06571 * t) - 6.622);
+        }
+        if (times.end < times.start) {
+            times.end = new Date(times.end.getTime() + 86400000);
+        }
+        return { state: 'normal', start: times.start, end: times.end };
+    }
+
+    // Solar noon is the transit (hour angle 0) on the same local solar day
+    const noonT = day + (12 - lngHour) / 24;
+    const solarNoon = toDate(sunPosition(noonT).RA - (0.06571 * noonT) - 6.622);
+
+    const daylight = calcEvent(sunZeniths.sunrise);
+    let dayLength = 0;
+    if (daylight.state === 'always-up') dayLength = 86400000;
+    if (daylight.state === 'normal') dayLength = daylight.end - daylight.start;
+
+    return {
+        state: daylight.state,
+        sunrise: daylight.start,
+        sunset: daylight.end,
+        solarNoon,
+        dayLength,
+        civil: calcEvent(sunZeniths.civil),
+        nautical: calcEvent(sunZeniths.nautical),
+        astronomical: calcEvent(sunZeniths.astronomical)
+    };
+}
+
+// Node (tests) can require this file; browsers just get the globals above
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { sunZeniths, calcSunTimes };
+}
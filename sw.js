@@ -0,0 +1,79 @@
+// Modern Clock — service worker
+// Precaches the app shell so the clock works fully offline. CACHE_VERSION
+// ends with a hash of the appShell files, and tests/sw.test.js fails with
+// the new value whenever one of them changes: the new worker installs
+// alongside the old one and waits until the page asks it to take over.
+
+const CACHE_VERSION = 'modern-clock-5cae964409';
+
+const appShell = [
+    './',
+    'index.html',
+    'styles.css',
+    'script.js',
+    'sun.js',
+    'ics.js',
+    'settings.js',
+    'timesync.js',
+    'manifest.webmanifest',
+    'images/icon.svg',
+    'images/icon-192.png',
+    'images/icon-512.png'
+];
+
+// Web font stylesheet and files are cached as they are first used
+const fontHosts = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE_VERSION).then(cache => cache.addAll(appShell)));
+});
+
+// -------------------------------
+// Drop caches from older versions once this worker is in charge
+// -------------------------------
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_VERSION).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// The page shows an update prompt and sends this when the user accepts it
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+// -------------------------------
+// Cache first for the app shell and fonts, so the page and its scripts
+// always come from the same version. Navigations use the cached page
+// whatever the query string or hash (embed links).
+// -------------------------------
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    // Time sync requests ask for no-store and must always reach the server
+    if (request.method !== 'GET' || request.cache === 'no-store') return;
+
+    const url = new URL(request.url);
+    const sameOrigin = url.origin === self.location.origin;
+    if (!sameOrigin && !fontHosts.includes(url.hostname)) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            caches.match('index.html').then(cached => cached || fetch(request))
+        );
+        return;
+    }
+
+    event.respondWith(
+        caches.match(request).then(cached => cached || fetch(request).then(response => {
+            if (response.ok || response.type === 'opaque') {
+                const copy = response.clone();
+                caches.open(CACHE_VERSION).then(cache => cache.put(request, copy));
+            }
+            return response;
+        }))
+    );
+});
@@ -0,0 +1,135 @@
+// Headless page harness for the DOM tests: loads index.html and the page
+// scripts into jsdom with a fake clock. Not a test file itself.
+//
+//   const page = loadClock({ now: '2024-03-10T06:59:59Z', settings: { timezone: 'America/New_York' } });
+//   page.run('getTimeParts(getNow())');   // Evaluate inside the page's script scope
+//   page.setTime('2024-03-10T07:00:00Z');
+//   page.frame();                          // One pass of the render loop
+//   page.close();
+//
+// Date.now() and new Date() read the fake clock, so getNow(), alarms and
+// chimes all follow it. requestAnimationFrame never fires; frame() runs
+// updateClock() instead. Audio is a silent stand-in that counts notes.
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const root = path.join(__dirname, '..');
+const pageHtml = fs.readFileSync(path.join(root, 'index.html'), 'utf8');
+const scriptPattern = /<script src="([^"]+)"><\/script>/g;
+const pageScripts = [...pageHtml.matchAll(scriptPattern)].map(match => match[1]);
+
+function toTime(value) {
+    return value instanceof Date ? value.getTime() : new Date(value).getTime();
+}
+
+// Web Audio stand-in: every node accepts the calls script.js makes
+function createAudioStub(audio) {
+    const param = () => ({
+        value: 0,
+        setValueAtTime() {},
+        linearRampToValueAtTime() {},
+        exponentialRampToValueAtTime() {},
+        setTargetAtTime() {},
+        cancelScheduledValues() {}
+    });
+    const node = () => ({
+        gain: param(),
+        frequency: param(),
+        detune: param(),
+        Q: param(),
+        type: '',
+        connect: target => target,
+        disconnect() {},
+        start() {
+            audio.notes += 1;
+        },
+        stop() {}
+    });
+    return function AudioContext() {
+        return {
+            currentTime: 0,
+            state: 'running',
+            destination: {},
+            createGain: node,
+            createOscillator: node,
+            createBiquadFilter: node,
+            resume: () => Promise.resolve()
+        };
+    };
+}
+
+// -------------------------------
+// Load the page
+//   now       fake clock start (Date, ms or ISO string); defaults to the real time
+//   settings  stored settings, as saved under modernClockSettings
+//   storage   other localStorage keys (values are stored as JSON)
+//   url       page URL, for the URL parameter options
+// -------------------------------
+function loadClock(options = {}) {
+    const errors = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', error => errors.push(error.message));
+
+    const dom = new JSDOM(pageHtml.replace(scriptPattern, ''), {
+        url: options.url || 'http://localhost/',
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        virtualConsole
+    });
+    const { window } = dom;
+    const context = dom.getInternalVMContext();
+    const run = code => vm.runInContext(code, context);
+
+    const clock = { now: toTime(options.now === undefined ? Date.now() : options.now) };
+    const audio = { notes: 0 };
+    window.readFakeClock = () => clock.now;
+    run(`Date = class extends Date {
+        constructor(...args) {
+            super(...(args.length ? args : [readFakeClock()]));
+        }
+        static now() {
+            return readFakeClock();
+        }
+    };`);
+    window.matchMedia = media => ({ matches: false, media, addEventListener() {}, removeEventListener() {} });
+    window.requestAnimationFrame = () => 1;
+    window.cancelAnimationFrame = () => {};
+    window.AudioContext = createAudioStub(audio);
+    window.Element.prototype.scrollIntoView = () => {};
+
+    if (options.settings) {
+        window.localStorage.setItem('modernClockSettings', JSON.stringify(options.settings));
+    }
+    Object.entries(options.storage || {}).forEach(([key, value]) => {
+        window.localStorage.setItem(key, JSON.stringify(value));
+    });
+
+    pageScripts.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(root, file), 'utf8'), context, { filename: file });
+    });
+
+    return {
+        window,
+        document: window.document,
+        errors,
+        audio,
+        run,
+        setTime(value) {
+            clock.now = toTime(value);
+        },
+        advance(ms) {
+            clock.now += ms;
+        },
+        frame() {
+            run('updateClock()');
+        },
+        close() {
+            window.close();
+        }
+    };
+}
+
+module.exports = { loadClock };
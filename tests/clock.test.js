@@ -0,0 +1,498 @@
+// Page-level checks for script.js in jsdom with a fake clock: time zones
+// across DST, calendar layout, render loop gating, chimes, the sun panel
+// and kiosk mode.
+// Run with: npm test (after npm install for jsdom)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadClock } = require('./clock-harness.js');
+
+// Load a page for one test and close it afterwards
+function withClock(t, options) {
+    const page = loadClock(options);
+    t.after(() => page.close());
+    return page;
+}
+
+function getParts(page, iso) {
+    page.setTime(iso);
+    return page.run('getTimeParts(getNow())');
+}
+
+// Day cells of the calendar and the empty cells in front of the first one
+function getCalendarLayout(page) {
+    const cells = Array.from(page.document.querySelectorAll('#calendarGrid .calendar-cell:not(.header)'));
+    return {
+        days: cells.filter(cell => cell.classList.contains('day')).map(cell => cell.dataset.date),
+        leading: cells.findIndex(cell => cell.classList.contains('day')),
+        title: page.document.getElementById('calendarTitle').textContent,
+        today: page.document.querySelector('#calendarGrid [aria-current="date"]')?.dataset.date
+    };
+}
+
+test('page loads under the fake clock without errors', (t) => {
+    const page = withClock(t, { now: '2024-05-01T12:00:00Z', settings: { timezone: 'utc' } });
+    page.frame();
+    assert.equal(page.run('getNow().toISOString()'), '2024-05-01T12:00:00.000Z');
+    assert.equal(page.document.getElementById('digitalTime').textContent, '12:00:00');
+    assert.deepEqual(page.errors, []);
+});
+
+test('URL options ignore names inherited from Object.prototype', (t) => {
+    const page = withClock(t, { now: '2024-05-01T12:00:00Z', url: 'http://localhost/?face=toString&panels=constructor,digital' });
+    page.frame();
+    assert.deepEqual(page.errors, []);
+    assert.equal(page.run('settings.dialStyle'), 'classic');
+    assert.ok(page.document.querySelector('.calendar-panel').classList.contains('embed-hidden'));
+    assert.equal(page.document.querySelector('.info-panel').classList.contains('embed-hidden'), false);
+});
+
+test('stored settings with inherited names fall back to defaults', (t) => {
+    const page = withClock(t, { now: '2024-05-01T12:00:00Z', settings: { dialStyle: 'constructor', timezone: 'utc' } });
+    page.frame();
+    assert.deepEqual(page.errors, []);
+    assert.equal(page.run('settings.dialStyle'), 'classic');
+    assert.equal(page.run('settings.timezone'), 'utc');
+});
+
+test('New York time skips 02:00 when DST starts', (t) => {
+    const page = withClock(t, { settings: { timezone: 'America/New_York' } });
+    const before = getParts(page, '2024-03-10T06:59:59Z');
+    assert.deepEqual([before.hours, before.minutes, before.seconds], [1, 59, 59]);
+    const after = getParts(page, '2024-03-10T07:00:00Z');
+    assert.deepEqual([after.hours, after.minutes, after.seconds], [3, 0, 0]);
+    assert.equal(page.run('getZoneOffsetMinutes(getNow(), getTimeZoneOption())'), -240);
+});
+
+test('New York time repeats 01:00-02:00 when DST ends', (t) => {
+    const page = withClock(t, { settings: { timezone: 'America/New_York' } });
+    const first = getParts(page, '2024-11-03T05:30:00Z');
+    const second = getParts(page, '2024-11-03T06:30:00Z');
+    assert.deepEqual([first.hours, first.minutes], [1, 30]);
+    assert.deepEqual([second.hours, second.minutes], [1, 30]);
+    assert.equal(page.run('getZoneOffsetMinutes(getNow(), getTimeZoneOption())'), -300);
+});
+
+test('hands follow the zone across the DST jump', (t) => {
+    const page = withClock(t, { now: '2024-03-31T00:59:00Z', settings: { timezone: 'Europe/London', smoothSecond: false } });
+    page.frame();
+    const hourHand = page.document.querySelector('.clock-container .hour-hand');
+    // 00:59 GMT, then 02:00 BST one minute later (stepped hands point at whole hours)
+    assert.equal(hourHand.style.transform, 'rotate(0deg)');
+    page.setTime('2024-03-31T01:00:00Z');
+    page.frame();
+    assert.equal(hourHand.style.transform, 'rotate(60deg)');
+});
+
+test('the date rolls over in the clock zone, not in UTC', (t) => {
+    const utc = withClock(t, { now: '2024-12-31T23:30:00Z', settings: { timezone: 'utc' } });
+    utc.frame();
+    assert.equal(getCalendarLayout(utc).today, '2024-12-31');
+    assert.match(utc.document.getElementById('dateDisplay').textContent, /DEC 31, 2024/);
+
+    const tokyo = withClock(t, { now: '2024-12-31T23:30:00Z', settings: { timezone: 'Asia/Tokyo' } });
+    tokyo.frame();
+    assert.equal(getCalendarLayout(tokyo).today, '2025-01-01');
+    assert.equal(getCalendarLayout(tokyo).title, 'January 2025');
+    assert.match(tokyo.document.getElementById('dateDisplay').textContent, /JAN 1, 2025/);
+
+    const losAngeles = withClock(t, { now: '2025-01-01T05:00:00Z', settings: { timezone: 'America/Los_Angeles' } });
+    assert.equal(getCalendarLayout(losAngeles).today, '2024-12-31');
+});
+
+test('the calendar moves to the new month at midnight in the clock zone', (t) => {
+    const page = withClock(t, { now: '2024-01-31T14:59:00Z', settings: { timezone: 'Asia/Tokyo' } });
+    page.frame();
+    assert.equal(getCalendarLayout(page).title, 'January 2024');
+    page.setTime('2024-01-31T15:00:00Z');
+    page.frame();
+    assert.equal(getCalendarLayout(page).title, 'February 2024');
+    assert.equal(getCalendarLayout(page).today, '2024-02-01');
+});
+
+test('February has 29 days only in leap years', (t) => {
+    const cases = [['2024-02-10', 29], ['2023-02-10', 28], ['2000-02-10', 29], ['2100-02-10', 28]];
+    cases.forEach(([date, length]) => {
+        const page = withClock(t, { now: `${date}T12:00:00Z`, settings: { timezone: 'utc' } });
+        const { days } = getCalendarLayout(page);
+        assert.equal(days.length, length, date);
+        assert.equal(days[days.length - 1], `${date.slice(0, 7)}-${length}`);
+    });
+});
+
+test('the first day of the month lines up with the chosen week start', (t) => {
+    // 1 September 2024 is a Sunday
+    const leading = { 0: 0, 1: 6, 6: 1 };
+    Object.entries(leading).forEach(([weekStart, count]) => {
+        const page = withClock(t, { now: '2024-09-15T12:00:00Z', settings: { timezone: 'utc', weekStart: Number(weekStart) } });
+        assert.equal(getCalendarLayout(page).leading, count, `week starting on day ${weekStart}`);
+    });
+});
+
+test('stepped seconds skip frames within the same second', (t) => {
+    const page = withClock(t, { now: '2024-05-01T12:00:00.100Z', settings: { timezone: 'utc', smoothSecond: false } });
+    let seconds = 0;
+    const original = page.window.updateClockSecond;
+    page.window.updateClockSecond = (now) => {
+        seconds += 1;
+        original(now);
+    };
+    page.advance(1000);
+    page.frame();
+    const key = page.run('lastTickKey');
+    page.advance(400);
+    page.frame();
+    page.frame();
+    assert.equal(page.run('lastTickKey'), key);
+    assert.equal(seconds, 1);
+
+    page.advance(500);
+    page.frame();
+    assert.notEqual(page.run('lastTickKey'), key);
+    assert.equal(seconds, 2);
+});
+
+test('smooth seconds move the hand every frame but update text once a second', (t) => {
+    const page = withClock(t, { now: '2024-05-01T12:00:00.100Z', settings: { timezone: 'utc', smoothSecond: true } });
+    const secondHand = page.document.querySelector('.clock-container .second-hand');
+    let seconds = 0;
+    const original = page.window.updateClockSecond;
+    page.window.updateClockSecond = (now) => {
+        seconds += 1;
+        original(now);
+    };
+    page.advance(1000);
+    page.frame();
+    const angle = secondHand.style.transform;
+    page.advance(250);
+    page.frame();
+    assert.notEqual(secondHand.style.transform, angle);
+    assert.equal(seconds, 1);
+});
+
+test('chimes play once, at the start of a chiming minute', (t) => {
+    const page = withClock(t, {
+        now: '2024-05-01T14:59:58Z',
+        settings: { timezone: 'utc', chime: true, chimePattern: 'westminster' }
+    });
+    const chimes = [];
+    page.document.addEventListener('modernclock:chime', event => chimes.push(`${event.detail.hours}:${event.detail.minutes}`));
+    const at = (iso) => {
+        page.setTime(iso);
+        page.run('checkChime(getNow())');
+    };
+
+    at('2024-05-01T15:00:00.500Z');
+    at('2024-05-01T15:00:01.500Z');
+    assert.deepEqual(chimes, ['15:0']);
+    assert.ok(page.audio.notes > 0);
+
+    // A minute without a quarter chime, then a check that came late in the minute
+    at('2024-05-01T15:01:00Z');
+    assert.deepEqual(chimes, ['15:0']);
+    at('2024-05-01T15:15:05Z');
+    assert.deepEqual(chimes, ['15:0', '15:15']);
+
+    at('2024-05-01T15:30:00Z');
+    assert.deepEqual(chimes, ['15:0', '15:15', '15:30']);
+});
+
+test('a hidden tab throttled to one check a minute still chimes', (t) => {
+    const page = withClock(t, {
+        now: '2024-05-01T14:59:40Z',
+        settings: { timezone: 'utc', chime: true, chimePattern: 'westminster' }
+    });
+    const chimes = [];
+    page.document.addEventListener('modernclock:chime', event => chimes.push(`${event.detail.hours}:${event.detail.minutes}`));
+    Object.defineProperty(page.document, 'hidden', { value: true, configurable: true });
+    const at = (iso) => {
+        page.setTime(iso);
+        page.run('runBackgroundChecks()');
+    };
+
+    at('2024-05-01T15:00:40Z');
+    at('2024-05-01T15:01:40Z');
+    assert.deepEqual(chimes, ['15:0']);
+
+    // Several quarters crossed at once chime only the latest
+    at('2024-05-01T15:32:10Z');
+    assert.deepEqual(chimes, ['15:0', '15:30']);
+
+    // Too late to be worth playing
+    at('2024-05-01T15:52:00Z');
+    assert.deepEqual(chimes, ['15:0', '15:30']);
+});
+
+test('quiet hours silence chimes, including across midnight', (t) => {
+    const page = withClock(t, {
+        now: '2024-05-01T20:59:50Z',
+        settings: { timezone: 'utc', chime: true, chimePattern: 'strike', quietHours: true, quietStart: '22:00', quietEnd: '07:00' }
+    });
+    const chimes = [];
+    page.document.addEventListener('modernclock:chime', event => chimes.push(event.detail.hours));
+    ['2024-05-01T21:00:00Z', '2024-05-01T23:00:00Z', '2024-05-02T03:00:00Z', '2024-05-02T07:00:00Z'].forEach(iso => {
+        page.setTime(iso);
+        page.run('checkChime(getNow())');
+    });
+    assert.deepEqual(chimes, [21, 7]);
+});
+
+test('the sun panel shows London sunrise in local summer time', (t) => {
+    const page = withClock(t, {
+        now: '2024-06-21T12:00:00Z',
+        settings: { timezone: 'Europe/London', locationMode: 'city', locationCity: 'London' }
+    });
+    const details = Array.from(page.document.querySelectorAll('#solarDetails dt, #solarDetails dd')).map(node => node.textContent);
+    const read = label => details[details.indexOf(label) + 1];
+    // Published: 04:43 and 21:21 BST; allow the algorithm's few minutes
+    const minutes = text => Number(text.slice(0, 2)) * 60 + Number(text.slice(3, 5));
+    assert.ok(Math.abs(minutes(read('Sunrise')) - (4 * 60 + 43)) <= 3, read('Sunrise'));
+    assert.ok(Math.abs(minutes(read('Sunset')) - (21 * 60 + 21)) <= 3, read('Sunset'));
+    assert.equal(read('Day Length').slice(0, 3), '16h');
+});
+
+test('kiosk mode shifts the page each minute, dims on schedule and keeps the wake lock', async (t) => {
+    const page = withClock(t, {
+        now: '2024-05-01T21:58:00Z',
+        settings: { timezone: 'utc', kiosk: true, kioskDim: 'schedule', kioskDimStart: '22:00', kioskDimEnd: '07:00' }
+    });
+    const body = page.document.body;
+    const shift = () => [body.style.getPropertyValue('--kiosk-shift-x'), body.style.getPropertyValue('--kiosk-shift-y')].join(' ');
+    assert.ok(body.classList.contains('kiosk'));
+    assert.equal(body.classList.contains('kiosk-night'), false);
+    assert.match(page.document.getElementById('kioskStatus').textContent, /not supported/);
+
+    const before = shift();
+    page.setTime('2024-05-01T22:00:00Z');
+    page.frame();
+    assert.notEqual(shift(), before);
+    assert.ok(body.classList.contains('kiosk-night'));
+
+    // Hiding the tab drops the lock; coming back requests it again
+    const requests = [];
+    page.window.navigator.wakeLock = {
+        request: (type) => {
+            requests.push(type);
+            const sentinel = new page.window.EventTarget();
+            sentinel.release = () => sentinel.dispatchEvent(new page.window.Event('release'));
+            return Promise.resolve(sentinel);
+        }
+    };
+    page.run('updateWakeLock()');
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(page.document.getElementById('kioskStatus').textContent, 'Screen kept awake');
+    page.run('wakeLock.release()');
+    assert.equal(page.run('wakeLock'), null);
+    page.run('handleVisibilityChange()');
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(requests, ['screen', 'screen']);
+
+    page.document.getElementById('kioskToggle').click();
+    assert.equal(body.classList.contains('kiosk'), false);
+    assert.equal(shift(), '0px 0px');
+    assert.equal(page.run('wakeLock'), null);
+});
+
+test('a malformed backup imports without breaking the next page load', (t) => {
+    const backup = {
+        app: 'modern-clock',
+        version: 2,
+        settings: { dialStyle: 'constructor', theme: 'steel' },
+        timezones: [{ label: 'Paris', zone: 'Europe/Paris' }, { label: 'Nowhere' }],
+        alarms: [{ time: '07:00' }, { time: '08:00', zone: 'utc', repeat: 'custom', days: 'weekdays' }, { id: 'ok', name: 'Wake', time: '06:30', zone: 'utc', repeat: 'once', days: [], enabled: true }],
+        events: [{ uid: 'a', title: 'Bad', start: 'soon' }, { uid: 'b', title: 'Lunch', allDay: false, start: '2024-05-01T12:00:00Z', end: 'later' }, { uid: 'c', title: 'Holiday', allDay: true, start: '2024-05-01', end: null }],
+        themes: [{ name: 'Broken' }],
+        focusHistory: { '2024-05-01': 3, '2024-05-02': { sessions: 1, minutes: 25 } },
+        dashboard: [{ label: 'X', zone: 'utc', dialStyle: 'toString' }]
+    };
+    const first = withClock(t, { now: '2024-05-01T10:00:00Z' });
+    assert.equal(first.run(`importSettings(${JSON.stringify(JSON.stringify(backup))})`), true);
+    const storage = {};
+    ['modernClockSettings', 'modernClockTimezones', 'modernClockAlarms', 'modernClockEvents', 'modernClockThemes', 'modernClockFocusHistory', 'modernClockDashboard'].forEach(key => {
+        storage[key] = JSON.parse(first.window.localStorage.getItem(key));
+    });
+
+    // The reload after an import, with the dashboard open so its grid is built too
+    storage.modernClockSettings.dashboard = true;
+    const page = withClock(t, { now: '2024-05-01T10:00:00Z', storage });
+    page.frame();
+    assert.deepEqual(page.errors, []);
+    assert.equal(page.run('settings.theme'), 'steel');
+    assert.equal(page.run('settings.dialStyle'), 'classic');
+    // Page arrays come from another realm, so compare them as text
+    assert.equal(page.run('timezones.map(entry => entry.label).join()'), 'Paris');
+    assert.equal(page.run('alarms.map(alarm => alarm.id).join()'), 'ok');
+    assert.equal(page.run('calendarEvents.map(event => event.uid).join()'), 'c');
+    assert.equal(page.run('Object.keys(focusHistoryData).join()'), '2024-05-02');
+    assert.equal(page.run('dashboardClocks[0].dialStyle'), 'classic');
+});
+
+test('the postMessage bridge refuses calls that change or reveal stored data', (t) => {
+    const page = withClock(t, { now: '2024-05-01T12:00:00Z', settings: { timezone: 'utc' } });
+    const replies = [];
+    const parent = { postMessage: (message, origin) => replies.push({ ...message, origin }) };
+    Object.defineProperty(page.window, 'parent', { value: parent, configurable: true });
+    const send = (message, origin = 'https://host.example') => {
+        page.window.handleBridgeMessage({ data: { type: 'modernclock', ...message }, source: parent, origin });
+    };
+
+    send({ id: 1, method: 'setSettings', args: [{ syncUrl: 'https://evil.example/time' }] });
+    send({ id: 2, method: 'runCommand', args: ['settings-export'] });
+    send({ id: 3, method: 'subscribe', args: ['settingschange'] });
+    send({ id: 4, method: 'getTime' });
+    send({ id: 5, method: 'getTime' }, 'null');
+    send({ id: 6, method: 'getCommands' });
+    send({ id: 7, method: 'subscribe', args: ['alarm'] });
+    assert.deepEqual(replies.map(reply => [reply.id, reply.error || 'ok', reply.origin]), [
+        [1, 'Unknown method: setSettings', 'https://host.example'],
+        [2, 'Unknown method: runCommand', 'https://host.example'],
+        [3, 'Unknown event: settingschange', 'https://host.example'],
+        [4, 'ok', 'https://host.example'],
+        [6, 'Unknown method: getCommands', 'https://host.example'],
+        [7, 'Unknown event: alarm', 'https://host.example']
+    ]);
+    assert.equal(page.run('settings.syncUrl'), '');
+    assert.equal(page.window.localStorage.getItem('modernClockSettings'), JSON.stringify({ timezone: 'utc' }));
+});
+
+test('one setSettings call fires one settingschange event', (t) => {
+    const page = withClock(t, { now: '2024-05-01T12:00:00Z', settings: { timezone: 'utc' } });
+    const changes = [];
+    page.document.addEventListener('modernclock:settingschange', event => changes.push(event.detail.changed.join()));
+    const result = page.run("ModernClock.setSettings({ is24Hour: false, dialStyle: 'roman', chimeVolume: 0.5, focusMode: true, constructor: 1 })");
+    assert.equal(result.rejected.join(), 'constructor');
+    assert.deepEqual(changes, ['is24Hour,dialStyle,chimeVolume,focusMode']);
+    assert.deepEqual(page.errors, []);
+});
+
+test('previewing another time sends no time events to the host page', (t) => {
+    const page = withClock(t, { now: '2024-05-01T12:00:00.500Z', settings: { timezone: 'utc' } });
+    const events = [];
+    ['tick', 'minute', 'hour'].forEach(type => {
+        page.document.addEventListener(`modernclock:${type}`, () => events.push(type));
+    });
+    page.run('setScrubTime(Date.UTC(2024, 4, 1, 18, 0, 0))');
+    page.run('setScrubTime(Date.UTC(2024, 4, 1, 19, 30, 0))');
+    page.frame();
+    assert.deepEqual(events, []);
+    assert.equal(page.document.getElementById('digitalTime').textContent, '19:30:00');
+});
+
+test('time sync explains a cross-origin Date header the browser hides', async (t) => {
+    const page = withClock(t, { now: '2024-05-01T12:00:00Z' });
+    const respond = (type, date) => () => Promise.resolve({
+        ok: true,
+        type,
+        headers: { get: () => date, has: () => date !== null },
+        text: () => Promise.resolve('<html>no time here</html>')
+    });
+    const failWith = () => page.run("requestTimeSample('https://time.example/').then(() => 'ok', error => error.message)");
+
+    page.window.fetch = respond('cors', null);
+    assert.equal(await failWith(), 'No time in body; Date header not exposed');
+    page.window.fetch = respond('basic', null);
+    assert.equal(await failWith(), 'No time in response');
+    page.window.fetch = respond('cors', 'Wed, 01 May 2024 12:00:05 GMT');
+    assert.equal(await failWith(), 'ok');
+});
+
+test('skipped focus phases count toward neither the long break nor the history', (t) => {
+    const page = withClock(t, { now: '2024-05-01T12:00:00Z', settings: { focusCycles: 2 } });
+    page.run('toggleFocusSession()');
+    const phases = [];
+    for (let i = 0; i < 4; i++) {
+        page.run('skipFocusPhase()');
+        phases.push(page.run('focusState.phase'));
+    }
+    assert.deepEqual(phases, ['short', 'work', 'short', 'work']);
+    assert.equal(page.run('focusState.completedWork'), 0);
+    assert.equal(page.run('Object.keys(focusHistoryData).length'), 0);
+
+    // Finished work phases still count: the second one earns the long break
+    page.run('advanceFocusPhase(true)');
+    page.run('advanceFocusPhase(true)');
+    page.run('advanceFocusPhase(true)');
+    assert.equal(page.run('focusState.phase'), 'long');
+    assert.equal(page.run('focusState.completedWork'), 2);
+});
+
+test('the 24-hour dial starts timer and stopwatch durations at the top', (t) => {
+    const page = withClock(t, { now: '2024-05-01T12:00:00Z', settings: { timezone: 'utc', dialStyle: '24h', smoothSecond: false } });
+    const hourHand = page.document.querySelector('.clock-container .hour-hand');
+    page.frame();
+    // Noon sits at the top in clock mode
+    assert.equal(hourHand.style.transform, 'rotate(0deg)');
+
+    page.run("setDialMode('stopwatch')");
+    page.frame();
+    assert.equal(hourHand.style.transform, 'rotate(0deg)');
+    page.run("setDialMode('clock')");
+    page.setTime('2024-05-01T18:00:00Z');
+    page.frame();
+    assert.equal(hourHand.style.transform, 'rotate(90deg)');
+});
+
+test('interval announcements continue while the tab is hidden', (t) => {
+    const page = withClock(t, { now: '2024-05-01T11:59:50Z', settings: { timezone: 'utc', announce: 'minute' } });
+    const announced = [];
+    page.window.announceTime = now => announced.push(now.toISOString());
+    Object.defineProperty(page.document, 'hidden', { value: true, configurable: true });
+
+    page.setTime('2024-05-01T12:00:00.500Z');
+    page.run('runBackgroundChecks()');
+    page.setTime('2024-05-01T12:00:01.500Z');
+    page.run('runBackgroundChecks()');
+    page.setTime('2024-05-01T12:01:00.500Z');
+    page.run('runBackgroundChecks()');
+    assert.deepEqual(announced, ['2024-05-01T12:00:00.500Z', '2024-05-01T12:01:00.500Z']);
+});
+
+test('imported events keep an end of the same kind as their start', (t) => {
+    const page = withClock(t, { now: '2024-05-01T10:00:00Z', settings: { timezone: 'utc' } });
+    const ics = [
+        'BEGIN:VEVENT', 'UID:day@test', 'DTSTART;VALUE=DATE:20240502', 'DTEND:20240503T090000Z', 'SUMMARY:Offsite', 'END:VEVENT',
+        'BEGIN:VEVENT', 'UID:timed@test', 'DTSTART:20240502T140000Z', 'DTEND;VALUE=DATE:20240503', 'SUMMARY:Workshop', 'END:VEVENT'
+    ].join('\r\n');
+    assert.equal(page.run(`JSON.stringify(importEvents(${JSON.stringify(ics)}))`), '{"imported":2,"skipped":0}');
+    assert.equal(page.run("calendarEvents.map(event => event.end).join(' ')"), '2024-05-03 2024-05-03T00:00:00.000Z');
+
+    // Both survive the next load's checks
+    const events = JSON.parse(page.window.localStorage.getItem('modernClockEvents'));
+    const reloaded = withClock(t, { now: '2024-05-01T10:00:00Z', settings: { timezone: 'utc' }, storage: { modernClockEvents: events } });
+    assert.equal(reloaded.run('calendarEvents.map(event => event.uid).join()'), 'day@test,timed@test');
+});
+
+test('a custom theme stored without a custom- id stays selected across reloads', (t) => {
+    const storage = { modernClockThemes: [{ id: 'ocean', name: 'Ocean', colors: { accent: '#112233' } }] };
+    const first = withClock(t, { now: '2024-05-01T10:00:00Z', settings: { theme: 'ocean' }, storage });
+    const id = first.run('customThemes[0].id');
+    assert.match(id, /^custom-/);
+    assert.equal(first.run('settings.theme'), id);
+
+    const read = key => JSON.parse(first.window.localStorage.getItem(key));
+    const page = withClock(t, {
+        now: '2024-05-01T10:00:00Z',
+        settings: read('modernClockSettings'),
+        storage: { modernClockThemes: read('modernClockThemes') }
+    });
+    assert.equal(page.run('customThemes[0].id'), id);
+    assert.equal(page.run('settings.theme'), id);
+    assert.equal(page.document.getElementById('themeSelect').value, id);
+    assert.deepEqual(page.errors, []);
+});
+
+test('the embed link keeps the visible panels and the transparent background', (t) => {
+    const read = (page) => {
+        const params = new URL(page.run('buildEmbedUrl()')).searchParams;
+        return [params.get('panels'), params.get('bg'), params.get('widget')];
+    };
+    const full = withClock(t, { now: '2024-05-01T10:00:00Z' });
+    assert.deepEqual(read(full), [null, null, '1']);
+
+    const embedded = withClock(t, { now: '2024-05-01T10:00:00Z', url: 'http://localhost/?panels=digital,world,calendar&bg=transparent' });
+    assert.deepEqual(read(embedded), ['digital,world,calendar', 'transparent', '1']);
+    embedded.run("ModernClock.setPanels(['sun'])");
+    assert.deepEqual(read(embedded), ['sun', 'transparent', '1']);
+    embedded.run('ModernClock.setPanels([])');
+    assert.deepEqual(read(embedded), ['none', 'transparent', '1']);
+});
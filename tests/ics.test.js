@@ -0,0 +1,119 @@
+// iCalendar parsing/building checks for ics.js.
+// Run with: node --test tests/*.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseICS, buildICS, escapeICSText, unescapeICSText } = require('../ics.js');
+
+test('text escaping round-trips commas, semicolons, backslashes and newlines', () => {
+    const text = 'Lunch; Bob, Alice\\Eve\nRoom 4';
+    assert.equal(escapeICSText(text), 'Lunch\\; Bob\\, Alice\\\\Eve\\nRoom 4');
+    assert.equal(unescapeICSText(escapeICSText(text)), text);
+});
+
+test('parses UTC, TZID, floating and date-only values', () => {
+    const events = parseICS([
+        'BEGIN:VCALENDAR',
+        'BEGIN:VEVENT',
+        'UID:utc@test',
+        'DTSTART:20240301T143000Z',
+        'SUMMARY:UTC',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'UID:zoned@test',
+        'DTSTART;TZID=Europe/Berlin:20240301T090000',
+        'SUMMARY:Zoned',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'UID:floating@test',
+        'DTSTART:20240301T120000',
+        'SUMMARY:Floating',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'UID:day@test',
+        'DTSTART;VALUE=DATE:20240302',
+        'DTEND;VALUE=DATE:20240303',
+        'SUMMARY:All day',
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ].join('\r\n'));
+
+    assert.equal(events.length, 4);
+    const [utc, zoned, floating, day] = events;
+    assert.deepEqual([utc.start.hours, utc.start.minutes, utc.start.utc], [14, 30, true]);
+    assert.equal(zoned.start.tzid, 'Europe/Berlin');
+    assert.equal(zoned.start.utc, false);
+    assert.equal(floating.start.tzid, null);
+    assert.equal(floating.start.utc, false);
+    assert.deepEqual([day.start.year, day.start.month, day.start.day, day.start.dateOnly], [2024, 2, 2, true]);
+    assert.equal(day.end.day, 3);
+});
+
+test('unfolds continuation lines and unescapes text', () => {
+    const events = parseICS([
+        'BEGIN:VEVENT',
+        'UID:fold@test',
+        'DTSTART:20240301T143000Z',
+        'SUMMARY:A very long',
+        '  title',
+        'DESCRIPTION:Line one\\nLine two\\, continued',
+        'END:VEVENT'
+    ].join('\r\n'));
+
+    assert.equal(events[0].summary, 'A very long title');
+    assert.equal(events[0].description, 'Line one\nLine two, continued');
+});
+
+test('skips events without a usable DTSTART', () => {
+    const events = parseICS('BEGIN:VEVENT\r\nUID:broken@test\r\nSUMMARY:No start\r\nEND:VEVENT\r\n');
+    assert.equal(events.length, 0);
+});
+
+test('built documents fold long lines and parse back to the same events', () => {
+    const source = [
+        { uid: 'timed@test', title: `Review, ${'x'.repeat(90)}`, allDay: false, start: '2024-03-01T14:30:00.000Z', end: '2024-03-01T15:00:00.000Z', notes: 'Bring notes; slides' },
+        { uid: 'day@test', title: 'Holiday', allDay: true, start: '2024-03-02', end: '2024-03-03', notes: '' }
+    ];
+    const text = buildICS(source, new Date(Date.UTC(2024, 0, 1)));
+
+    assert.ok(text.endsWith('\r\n'));
+    text.split('\r\n').forEach(line => assert.ok(line.length <= 75, line));
+
+    const [timed, day] = parseICS(text);
+    assert.equal(timed.uid, 'timed@test');
+    assert.equal(timed.summary, source[0].title);
+    assert.equal(timed.description, 'Bring notes; slides');
+    assert.deepEqual([timed.start.hours, timed.start.minutes, timed.start.utc], [14, 30, true]);
+    assert.equal(day.start.dateOnly, true);
+    assert.equal(day.summary, 'Holiday');
+});
+
+test('quotes in a value are content, and quoted parameters may hold colons and semicolons', () => {
+    const events = parseICS([
+        'BEGIN:VEVENT',
+        'UID:quotes@test',
+        'DTSTART;TZID="America/New_York;Office:HQ":20240301T090000',
+        'SUMMARY:27" monitor delivery',
+        'DESCRIPTION;LANGUAGE=en:Say "hi": bring the "blue" cable',
+        'END:VEVENT'
+    ].join('\r\n'));
+
+    assert.equal(events[0].summary, '27" monitor delivery');
+    assert.equal(events[0].description, 'Say "hi": bring the "blue" cable');
+    assert.equal(events[0].start.tzid, 'America/New_York;Office:HQ');
+    assert.equal(events[0].start.hours, 9);
+});
+
+test('long lines fold at 75 octets of UTF-8 without splitting characters', () => {
+    const title = `Caf\u00e9 ${'\u00fcber '.repeat(30)}\u{1f389} ${'x'.repeat(120)}`;
+    const text = buildICS([{ uid: 'utf8@test', title, allDay: true, start: '2024-03-02', end: null, notes: '' }], new Date(Date.UTC(2024, 0, 1)));
+    const lines = text.split('\r\n').filter(Boolean);
+    const summary = lines.findIndex(line => line.startsWith('SUMMARY:'));
+
+    assert.ok(lines[summary + 3].startsWith(' '), 'summary spans more than three lines');
+    lines.forEach(line => assert.ok(Buffer.byteLength(line, 'utf8') <= 75, line));
+    assert.ok(Buffer.byteLength(lines[summary], 'utf8') >= 74);
+    // No line ends or starts in the middle of a surrogate pair
+    lines.forEach(line => assert.doesNotMatch(line, /[\ud800-\udbff]$|^ ?[\udc00-\udfff]/));
+    assert.equal(parseICS(text)[0].summary, title);
+});
@@ -0,0 +1,69 @@
+// Settings schema, migration and backup checks for settings.js.
+// Run with: node --test tests/*.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { settingsVersion, settingsSchema, getDefaultSettings, validateSettings, migrateSettings, createBackup, parseBackup } = require('../settings.js');
+
+test('defaults cover every schema field and are fresh copies', () => {
+    const defaults = getDefaultSettings();
+    assert.deepEqual(Object.keys(defaults), Object.keys(settingsSchema));
+    assert.equal(defaults.theme, 'aurora');
+    defaults.shortcuts.F = 'G';
+    assert.deepEqual(getDefaultSettings().shortcuts, {});
+});
+
+test('invalid values fall back to defaults and unknown keys are dropped', () => {
+    const { values, rejected } = validateSettings({
+        is24Hour: false,
+        chimeVolume: 4,
+        quietStart: '25:00',
+        focusWork: 2.5,
+        chimePattern: 'ships',
+        latitude: null,
+        syncUrl: 'ftp://example.com',
+        shortcuts: { 'focus-mode': 'G' },
+        legacyKey: true
+    });
+    assert.equal(values.is24Hour, false);
+    assert.equal(values.chimePattern, 'ships');
+    assert.equal(values.chimeVolume, 0.35);
+    assert.equal(values.quietStart, '22:00');
+    assert.equal(values.focusWork, 25);
+    assert.equal(values.latitude, null);
+    assert.equal(values.syncUrl, '');
+    assert.deepEqual(values.shortcuts, { 'focus-mode': 'G' });
+    assert.equal('legacyKey' in values, false);
+    assert.deepEqual(rejected.sort(), ['chimeVolume', 'focusWork', 'quietStart', 'syncUrl']);
+});
+
+test('browser-dependent types use the checks passed in', () => {
+    const checks = { zone: zone => zone === 'local' || zone === 'Europe/Paris' };
+    assert.equal(validateSettings({ timezone: 'Europe/Paris' }, checks).values.timezone, 'Europe/Paris');
+    assert.equal(validateSettings({ timezone: 'Mars/Olympus' }, checks).values.timezone, 'local');
+    assert.equal(validateSettings({ timezone: 42 }).values.timezone, 'local');
+});
+
+test('unversioned settings migrate to the current version', () => {
+    assert.deepEqual(migrateSettings({ weekStart: '1', theme: 'desert' }), { weekStart: 1, theme: 'desert' });
+    assert.deepEqual(migrateSettings({ weekStart: 'auto' }), { weekStart: 'auto' });
+    assert.deepEqual(migrateSettings({ version: settingsVersion, weekStart: 6 }), { weekStart: 6 });
+    assert.deepEqual(migrateSettings(null), {});
+    assert.deepEqual(migrateSettings([1, 2]), {});
+});
+
+test('backups round-trip and reject other files', () => {
+    const backup = createBackup({ theme: 'steel' }, { alarms: [{ id: 'a', time: '07:00' }] }, new Date(Date.UTC(2024, 0, 1)));
+    assert.equal(backup.version, settingsVersion);
+    assert.equal(backup.exported, '2024-01-01T00:00:00.000Z');
+
+    const parsed = parseBackup(JSON.stringify(backup));
+    assert.deepEqual(parsed.settings, { theme: 'steel' });
+    assert.deepEqual(parsed.sections, { alarms: [{ id: 'a', time: '07:00' }] });
+
+    const legacy = parseBackup(JSON.stringify({ app: 'modern-clock', settings: { weekStart: '0' } }));
+    assert.equal(legacy.settings.weekStart, 0);
+
+    assert.equal(parseBackup('{not json'), null);
+    assert.equal(parseBackup(JSON.stringify({ name: 'Theme', colors: {} })), null);
+});
@@ -0,0 +1,68 @@
+// Sunrise/sunset checks for calcSunTimes() against published almanac times.
+// Run with: node --test tests/*.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calcSunTimes } = require('../sun.js');
+
+// Allowed difference from the reference time; the simplified algorithm is
+// accurate to about a minute at mid latitudes.
+const toleranceMinutes = 3;
+
+// Reference sunrise/sunset in UTC. Several cases cross the UTC date on purpose:
+// New York and Reykjavik set after UTC midnight, Sydney/Tokyo/Auckland rise
+// on the previous UTC date.
+const sunTable = [
+    { city: 'London', date: '2024-06-21', latitude: 51.5074, longitude: -0.1278, sunrise: '2024-06-21T03:43Z', sunset: '2024-06-21T20:21Z' },
+    { city: 'London', date: '2024-12-21', latitude: 51.5074, longitude: -0.1278, sunrise: '2024-12-21T08:04Z', sunset: '2024-12-21T15:53Z' },
+    { city: 'New York', date: '2024-06-20', latitude: 40.7128, longitude: -74.006, sunrise: '2024-06-20T09:25Z', sunset: '2024-06-21T00:31Z' },
+    { city: 'New York', date: '2024-12-21', latitude: 40.7128, longitude: -74.006, sunrise: '2024-12-21T12:17Z', sunset: '2024-12-21T21:32Z' },
+    { city: 'Sydney', date: '2024-12-21', latitude: -33.8688, longitude: 151.2093, sunrise: '2024-12-20T18:41Z', sunset: '2024-12-21T09:05Z' },
+    { city: 'Tokyo', date: '2024-06-21', latitude: 35.6762, longitude: 139.6503, sunrise: '2024-06-20T19:25Z', sunset: '2024-06-21T10:00Z' },
+    { city: 'Reykjavik', date: '2024-06-21', latitude: 64.1466, longitude: -21.9426, sunrise: '2024-06-21T02:55Z', sunset: '2024-06-22T00:03Z' },
+    { city: 'Auckland', date: '2024-01-01', latitude: -36.8485, longitude: 174.7633, sunrise: '2023-12-31T17:04Z', sunset: '2024-01-01T07:42Z' },
+    { city: 'Quito', date: '2024-03-20', latitude: -0.1807, longitude: -78.4678, sunrise: '2024-03-20T11:17Z', sunset: '2024-03-20T23:24Z' }
+];
+
+function utcDay(isoDate) {
+    const [year, month, day] = isoDate.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day));
+}
+
+function assertNear(actual, expected, label) {
+    const diff = Math.abs(actual.getTime() - new Date(expected).getTime()) / 60000;
+    assert.ok(diff <= toleranceMinutes, `${label}: got ${actual.toISOString()}, expected ${expected} (${diff} min off)`);
+}
+
+sunTable.forEach(row => {
+    test(`${row.city} ${row.date} sunrise and sunset`, () => {
+        const result = calcSunTimes(utcDay(row.date), row.latitude, row.longitude);
+        assert.equal(result.state, 'normal');
+        assertNear(result.sunrise, row.sunrise, 'sunrise');
+        assertNear(result.sunset, row.sunset, 'sunset');
+        assert.ok(result.sunset > result.sunrise, 'sunset follows sunrise');
+        assert.ok(result.solarNoon > result.sunrise && result.solarNoon < result.sunset, 'solar noon is between them');
+    });
+});
+
+test('Tromso has midnight sun at the June solstice', () => {
+    const result = calcSunTimes(utcDay('2024-06-21'), 69.6492, 18.9553);
+    assert.equal(result.state, 'always-up');
+    assert.equal(result.sunrise, null);
+    assert.equal(result.dayLength, 86400000);
+    assert.equal(result.civil.state, 'always-up');
+});
+
+test('Tromso has polar night at the December solstice', () => {
+    const result = calcSunTimes(utcDay('2024-12-21'), 69.6492, 18.9553);
+    assert.equal(result.state, 'always-down');
+    assert.equal(result.dayLength, 0);
+    // Civil twilight still happens around noon
+    assert.equal(result.civil.state, 'normal');
+});
+
+test('London has no astronomical night in June', () => {
+    const result = calcSunTimes(utcDay('2024-06-21'), 51.5074, -0.1278);
+    assert.equal(result.astronomical.state, 'always-up');
+    assert.equal(result.nautical.state, 'normal');
+});
@@ -0,0 +1,30 @@
+// Service worker cache version check for sw.js.
+// Run with: node --test tests/*.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const root = path.join(__dirname, '..');
+const workerSource = fs.readFileSync(path.join(root, 'sw.js'), 'utf8');
+
+// Files listed in the worker's appShell array ('./' is index.html again)
+function readAppShell() {
+    const list = /const appShell = \[([^\]]*)\]/.exec(workerSource)[1];
+    return [...list.matchAll(/'([^']+)'/g)].map(match => match[1]).filter(file => file !== './');
+}
+
+test('CACHE_VERSION changes whenever a cached file changes', () => {
+    const hash = crypto.createHash('sha256');
+    readAppShell().forEach(file => {
+        const content = fs.readFileSync(path.join(root, file));
+        hash.update(`${file}\n`);
+        // Text files hash the same with either line ending (Windows checkouts)
+        hash.update(file.endsWith('.png') ? content : content.toString('utf8').replace(/\r\n/g, '\n'));
+    });
+    const expected = `modern-clock-${hash.digest('hex').slice(0, 10)}`;
+    const actual = /const CACHE_VERSION = '([^']+)'/.exec(workerSource)[1];
+    assert.equal(actual, expected, `App shell files changed; set CACHE_VERSION in sw.js to '${expected}' so installed copies update`);
+});
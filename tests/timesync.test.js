@@ -0,0 +1,60 @@
+// Time sync offset and smoothing checks for timesync.js.
+// Run with: node --test tests/*.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseServerTime, measureOffset, pickBestSample, planCorrection, getSlewedOffset, getClockJump } = require('../timesync.js');
+
+const instant = Date.UTC(2024, 2, 10, 12, 0, 0);
+
+test('reads milliseconds, Unix seconds, ISO strings and JSON fields', () => {
+    assert.equal(parseServerTime(String(instant)), instant);
+    assert.equal(parseServerTime(String(instant / 1000)), instant);
+    assert.equal(parseServerTime('2024-03-10T12:00:00.000Z'), instant);
+    assert.equal(parseServerTime(JSON.stringify({ time: instant })), instant);
+    assert.equal(parseServerTime(JSON.stringify({ unixtime: instant / 1000 })), instant);
+    assert.equal(parseServerTime(JSON.stringify({ utc_datetime: '2024-03-10T12:00:00Z' })), instant);
+});
+
+test('falls back to the middle of the Date header second', () => {
+    assert.equal(parseServerTime('<html>ok</html>', 'Sun, 10 Mar 2024 12:00:00 GMT'), instant + 500);
+    assert.equal(parseServerTime('{"status":"ok"}', 'Sun, 10 Mar 2024 12:00:00 GMT'), instant + 500);
+    assert.equal(parseServerTime('nothing useful', null), null);
+});
+
+test('offset compares the server time with the round-trip midpoint', () => {
+    // Sent at 1000 local, 200 ms round trip, server read 5100 => local midpoint 1100, offset 4000
+    assert.deepEqual(measureOffset(1000, 200, 5100), { offset: 4000, roundTrip: 200 });
+    const best = pickBestSample([
+        { offset: 40, roundTrip: 90 },
+        { offset: 12, roundTrip: 8 },
+        { offset: -30, roundTrip: 60 }
+    ]);
+    assert.equal(best.offset, 12);
+});
+
+test('small corrections slew at the configured rate', () => {
+    const slew = planCorrection(0, 200, 1000, { rate: 0.05 });
+    assert.equal(getSlewedOffset(slew, 1000), 0);
+    assert.equal(getSlewedOffset(slew, 2000), 50);
+    assert.equal(getSlewedOffset(slew, 4000), 150);
+    assert.equal(getSlewedOffset(slew, 9000), 200);
+
+    const backwards = planCorrection(300, 100, 0, { rate: 0.05 });
+    assert.equal(getSlewedOffset(backwards, 2000), 200);
+    assert.equal(getSlewedOffset(backwards, 60000), 100);
+});
+
+test('large corrections step immediately instead of spinning the hands', () => {
+    const slew = planCorrection(0, 3600000, 1000);
+    assert.equal(getSlewedOffset(slew, 1000), 3600000);
+    assert.equal(getSlewedOffset(null, 1000), 0);
+});
+
+test('clock jumps are wall time moving apart from monotonic time', () => {
+    const last = { wall: instant, monotonic: 5000 };
+    assert.equal(getClockJump(last, instant + 1000, 6000), 0);
+    assert.equal(getClockJump(last, instant + 3600000 + 1000, 6000), 3600000);
+    assert.equal(getClockJump(last, instant - 59000, 6000), -60000);
+    assert.equal(getClockJump(null, instant, 6000), 0);
+});
@@ -0,0 +1,101 @@
+// Modern Clock — time sync math
+// Offset measurement and correction smoothing used by the time sync panel
+// (loaded before script.js) and the Node test suite. Fetching and timers
+// stay in script.js; everything here works on plain millisecond numbers.
+
+// -------------------------------
+// Read a server timestamp (ms since the epoch) from a response
+// Accepts a bare number (seconds or milliseconds), an ISO date string, or
+// JSON with a time, now, epochMs, unixtime, utc_datetime or datetime field.
+// Falls back to the HTTP Date header, which only has whole seconds, so the
+// middle of that second is used. Returns null when nothing parses.
+// -------------------------------
+const serverTimeFields = ['time', 'now', 'epochMs', 'unixtime', 'utc_datetime', 'datetime'];
+
+function toTimestamp(value) {
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        // Ten-digit values are Unix seconds; millisecond values are far larger
+        return value < 1e11 ? value * 1000 : value;
+    }
+    if (typeof value === 'string' && value.trim()) {
+        const text = value.trim();
+        if (/^\d+(\.\d+)?$/.test(text)) return toTimestamp(Number(text));
+        const parsed = Date.parse(text);
+        return Number.isNaN(parsed) ? null : parsed;
+    }
+    return null;
+}
+
+function parseServerTime(body, dateHeader) {
+    const text = String(body || '').trim();
+    let time = null;
+    if (text.startsWith('{')) {
+        try {
+            const data = JSON.parse(text);
+            const field = serverTimeFields.find(name => data[name] !== undefined && toTimestamp(data[name]) !== null);
+            if (field) time = toTimestamp(data[field]);
+        } catch (error) {
+            // Not JSON after all; try the header below
+        }
+    } else if (text) {
+        time = toTimestamp(text);
+    }
+    if (time === null && dateHeader) {
+        const header = Date.parse(dateHeader);
+        if (!Number.isNaN(header)) time = header + 500;
+    }
+    return time;
+}
+
+// -------------------------------
+// One request/response exchange
+// The server read its clock roughly halfway through the round trip, so the
+// offset compares it with the local clock at that midpoint.
+// -------------------------------
+function measureOffset(sentAt, roundTrip, serverTime) {
+    return { offset: serverTime - (sentAt + roundTrip / 2), roundTrip };
+}
+
+// The sample with the shortest round trip has the smallest possible error
+function pickBestSample(samples) {
+    return samples.reduce((best, sample) => (!best || sample.roundTrip < best.roundTrip ? sample : best), null);
+}
+
+// -------------------------------
+// Smoothed correction
+// Small changes are slewed at `rate` ms per ms (0.05 = 50 ms per second),
+// so the hands speed up or slow down slightly instead of jumping. Changes
+// of `stepThreshold` ms or more (a wrong system clock, waking from sleep)
+// step straight to the new offset rather than spinning the hands to catch up.
+// -------------------------------
+const correctionDefaults = { rate: 0.05, stepThreshold: 1000 };
+
+function planCorrection(current, target, now, options = {}) {
+    const { rate, stepThreshold } = { ...correctionDefaults, ...options };
+    const step = Math.abs(target - current) >= stepThreshold;
+    return { from: step ? target : current, to: target, start: now, rate };
+}
+
+function getSlewedOffset(slew, now) {
+    if (!slew) return 0;
+    const distance = slew.to - slew.from;
+    const travelled = Math.max(0, now - slew.start) * slew.rate;
+    if (travelled >= Math.abs(distance)) return slew.to;
+    return slew.from + Math.sign(distance) * travelled;
+}
+
+// -------------------------------
+// Clock jump detection
+// Wall time (Date.now) and monotonic time (performance.now) advance
+// together unless the system clock is changed or the machine sleeps.
+// Returns how far wall time moved beyond monotonic time since the last check.
+// -------------------------------
+function getClockJump(last, wall, monotonic) {
+    if (!last) return 0;
+    return (wall - last.wall) - (monotonic - last.monotonic);
+}
+
+// Node (tests) can require this file; browsers just get the globals above
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { parseServerTime, measureOffset, pickBestSample, planCorrection, getSlewedOffset, getClockJump };
+}